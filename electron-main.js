@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 
 // Keep a global reference of the window object
@@ -48,7 +48,11 @@ function createWindow() {
 }
 
 // This method will be called when Electron has finished initialization
-app.whenReady().then(createWindow);
+app.whenReady().then(() => {
+  createWindow();
+  // Start after the UI loads so a catch-up run at launch shows up in the log
+  mainWindow.webContents.once('did-finish-load', () => refreshScheduler());
+});
 
 // Quit when all windows are closed
 app.on('window-all-closed', () => {
@@ -84,7 +88,7 @@ ipcMain.on('window-close', () => {
 // This avoids Playwright conflicts with Electron's Chromium
 const { spawn } = require('child_process');
 let cleanupProcess = null;
-let cleanupStats = { deleted: 0, protected: 0, skipped: 0, scanned: 0 };
+let cleanupStats = { deleted: 0, protected: 0, skipped: 0, scanned: 0, backoffUntil: null, delayMs: null };
 
 function getCliPaths() {
   let indexPath;
@@ -114,12 +118,44 @@ function buildCliEnv(config, normalizedHandle, options = {}) {
     DMT_DELETE_YEAR: String(config.deleteYear),
     DMT_PROTECT_MONTH: String(config.protectMonth),
     DMT_PROTECT_YEAR: String(config.protectYear),
+    DMT_DELETE_START: config.exactDates ? config.deleteStart || '' : '',
+    DMT_DELETE_END: config.exactDates ? config.deleteEnd || '' : '',
+    DMT_TIMEZONE: config.timezone || '',
+    DMT_KEEP_LAST_DAYS: config.rolling && config.rollingUnit !== 'months' ? String(config.rollingAmount || 0) : '0',
+    DMT_KEEP_LAST_MONTHS: config.rolling && config.rollingUnit === 'months' ? String(config.rollingAmount || 0) : '0',
+    DMT_KEEP_LATEST: String(config.keepLatest || 0),
     DMT_POSTS: config.posts ? 'true' : 'false',
     DMT_REPLIES: config.replies ? 'true' : 'false',
+    DMT_QUOTES: (config.quotes ?? config.posts) ? 'true' : 'false',
+    DMT_REPLIES_TO: config.repliesTo || '',
+    DMT_PROTECT_REPLIES_TO: config.protectRepliesTo || '',
     DMT_REPOSTS: config.reposts ? 'true' : 'false',
+    DMT_REPOSTS_OF: config.repostsOf || '',
+    DMT_KEEP_REPOSTS_OF: config.keepRepostsOf || '',
+    DMT_LIKES: config.likes ? 'true' : 'false',
+    DMT_LIKES_DATE_FILTER: config.likesDateFilter || 'tweet',
+    DMT_BOOKMARKS: config.bookmarks ? 'true' : 'false',
+    DMT_BOOKMARKS_DATE_FILTER: config.bookmarksDateFilter || 'tweet',
+    DMT_BOOKMARK_AUTHORS: config.bookmarkAuthors || '',
     DMT_SPEED: config.speed || 'normal',
+    DMT_ADAPTIVE_SPEED: config.adaptiveSpeed === false ? 'false' : 'true',
+    DMT_RATE_LIMIT_CEILING: String(config.rateLimitCeiling ?? 30),
     DMT_HEADLESS: config.headless ? 'true' : 'false',
     DMT_PRIVATE_MODE: config.privateMode ? 'true' : 'false',
+    DMT_ARCHIVE_PATH: config.archivePath || '',
+    DMT_DRY_RUN: config.dryRun ? 'true' : 'false',
+    DMT_SEARCH_MODE: config.searchMode ? 'true' : 'false',
+    DMT_RESUME: config.resume === false ? 'false' : 'true',
+    DMT_BACKUP: config.backup === false ? 'false' : 'true',
+    DMT_BACKUP_SCREENSHOTS: config.backupScreenshots ? 'true' : 'false',
+    DMT_INCLUDE_FILTERS: config.includeFilters || '',
+    DMT_EXCLUDE_FILTERS: config.excludeFilters || '',
+    DMT_MEDIA_FILTER: (config.mediaFilter || []).join(','),
+    DMT_PROTECT_LIKES: String(config.protectEngagement?.likes || 0),
+    DMT_PROTECT_REPOSTS: String(config.protectEngagement?.reposts || 0),
+    DMT_PROTECT_REPLIES: String(config.protectEngagement?.replies || 0),
+    DMT_PROTECT_VIEWS: String(config.protectEngagement?.views || 0),
+    DMT_PROTECT_IDS: (config.protectIds || []).join(','),
     ...(options.emitEvents ? { DMT_EMIT_EVENTS: 'true' } : {}),
     ...(options.includeUserData ? { ELECTRON_USER_DATA: app.getPath('userData') } : {})
   };
@@ -143,16 +179,30 @@ ipcMain.on('start-cleanup', async (event, config) => {
     return;
   }
 
+  event.reply('cleanup-started');
+  launchCleanupProcess(config, normalizedHandle);
+});
+
+// Spawn the CLI and stream its output to the UI; onExit(code, err, result) fires once the process is gone,
+// with result being the CLI's own "finished" event when it got that far
+function launchCleanupProcess(config, normalizedHandle, onExit = () => {}, extraEnv = {}) {
+  let exited = false;
+  let result = null;
+  const finish = (code, err) => {
+    if (exited) return;
+    exited = true;
+    onExit(code, err, result);
+  };
   isCleanupRunning = true;
-  cleanupStats = { deleted: 0, protected: 0, skipped: 0, scanned: 0 };
+  cleanupStats = { deleted: 0, protected: 0, skipped: 0, scanned: 0, backoffUntil: null, delayMs: null };
   const targetCount = Number.isFinite(parseInt(config.target, 10)) ? parseInt(config.target, 10) : 0;
 
   mainWindow?.webContents.send('cleanup-log', { type: 'info', message: 'Starting cleanup (CLI mode)...' });
-  event.reply('cleanup-started');
 
   // Build environment variables for the CLI
   const env = {
     ...buildCliEnv(config, normalizedHandle, { emitEvents: true, includeUserData: true }),
+    ...extraEnv,
     // Force colors in output
     FORCE_COLOR: '1'
   };
@@ -179,7 +229,9 @@ ipcMain.on('start-cleanup', async (event, config) => {
       target: targetCount,
       deleted: cleanupStats.deleted,
       protected: cleanupStats.protected,
-      skipped: cleanupStats.skipped
+      skipped: cleanupStats.skipped,
+      backoffUntil: cleanupStats.backoffUntil,
+      delayMs: cleanupStats.delayMs
     });
   };
 
@@ -199,11 +251,20 @@ ipcMain.on('start-cleanup', async (event, config) => {
       if (clean.startsWith('__DMT_EVENT__')) {
         try {
           const payload = JSON.parse(clean.slice('__DMT_EVENT__'.length));
-          if (payload.type === 'deleted') {
+          // Dry runs report would-be deletions through the same counter
+          if (payload.type === 'deleted' || payload.type === 'candidate') {
             cleanupStats.deleted = Number.isFinite(payload.count)
               ? payload.count
               : cleanupStats.deleted + 1;
             sendCleanupProgress();
+          } else if (payload.type === 'speed') {
+            cleanupStats.delayMs = { min: payload.min, max: payload.max };
+            sendCleanupProgress();
+          } else if (payload.type === 'backoff') {
+            cleanupStats.backoffUntil = payload.until || null;
+            sendCleanupProgress();
+          } else if (payload.type === 'finished') {
+            result = payload;
           }
         } catch {}
         continue;
@@ -219,7 +280,9 @@ ipcMain.on('start-cleanup', async (event, config) => {
         clean.includes('Outside range') ||
         clean.includes('SKIPPED') ||
         clean.includes('Too old, kept') ||
-        clean.includes('Unknown date, skipping')
+        clean.includes('Unknown date, skipping') ||
+        clean.includes('Not found on X, skipping') ||
+        clean.includes('Filtered out, kept')
       ) {
         type = 'skip';
         cleanupStats.skipped++;
@@ -253,6 +316,7 @@ ipcMain.on('start-cleanup', async (event, config) => {
       message: `Process exited (code ${code})`
     });
     mainWindow?.webContents.send('cleanup-complete');
+    finish(code);
   });
 
   cleanupProcess.on('error', (err) => {
@@ -260,8 +324,9 @@ ipcMain.on('start-cleanup', async (event, config) => {
     cleanupProcess = null;
     mainWindow?.webContents.send('cleanup-log', { type: 'error', message: err.message });
     mainWindow?.webContents.send('cleanup-complete');
+    finish(null, err);
   });
-});
+}
 
 ipcMain.on('stop-cleanup', () => {
   if (cleanupProcess) {
@@ -288,8 +353,8 @@ ipcMain.on('run-in-terminal', async (event, config) => {
     return;
   }
 
-  // Build environment variables for the CLI
-  const env = buildCliEnv(config, normalizedHandle);
+  // Build environment variables for the CLI (same data folder as the app, so History sees terminal runs too)
+  const env = buildCliEnv(config, normalizedHandle, { includeUserData: true });
 
   // Get correct path to index.js and node_modules for both dev and packaged modes
   const { indexPath, workingDir, nodeModulesPath } = getCliPaths();
@@ -312,10 +377,139 @@ ipcMain.on('run-in-terminal', async (event, config) => {
   event.reply('terminal-launched', 'CLI launched in terminal window');
 });
 
+// ═══════════════════════════════════════════════════════════
+// X DATA ARCHIVE - pick an unzipped archive folder to drive deletions
+// ═══════════════════════════════════════════════════════════
+ipcMain.on('select-archive', async (event) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Select your unzipped X archive folder',
+    properties: ['openDirectory']
+  });
+  if (result.canceled || !result.filePaths[0]) return;
+
+  const archivePath = result.filePaths[0];
+  const dataDir = path.join(archivePath, 'data');
+  const hasTweets = ['tweets.js', 'tweet.js'].some(name =>
+    fs.existsSync(path.join(dataDir, name)) || fs.existsSync(path.join(archivePath, name))
+  );
+  if (!hasTweets) {
+    event.reply('archive-selected', { path: null, error: 'No data/tweets.js found in that folder. Select the unzipped X archive.' });
+    return;
+  }
+  event.reply('archive-selected', { path: archivePath });
+});
+
+// ═══════════════════════════════════════════════════════════
+// DELETION LEDGER - History tab reads the SQLite ledger written by index.js
+// ═══════════════════════════════════════════════════════════
+const ledger = require('./ledger');
+let ledgerDb = null;
+
+ipcMain.on('get-history', (event, handle) => {
+  const normalizedHandle = normalizeHandle(handle);
+  try {
+    // WAL mode: one long-lived connection still sees rows a running cleanup commits
+    if (!ledgerDb) ledgerDb = ledger.openLedger(app.getPath('userData'));
+    event.reply('history-data', {
+      handle: normalizedHandle,
+      stats: normalizedHandle ? ledger.getAccountHistory(ledgerDb, normalizedHandle) : null,
+      accounts: ledger.getAccountTotals(ledgerDb)
+    });
+  } catch (err) {
+    console.error('Ledger read error:', err.message);
+    event.reply('history-data', { handle: normalizedHandle, error: err.message });
+  }
+});
+
 // Config storage - persist between sessions
 const fs = require('fs');
 const configPath = path.join(app.getPath('userData'), 'config.json');
 
+// ═══════════════════════════════════════════════════════════
+// SCHEDULER - Runs the saved configuration on a cron-like cadence
+// Missed runs (app closed, machine asleep) follow the catch-up setting
+// ═══════════════════════════════════════════════════════════
+const schedule = require('./schedule');
+let scheduler = null;
+let activeSchedule = null;  // Settings the current scheduler was built from, to skip no-op rebuilds
+
+function sendScheduleStatus(status = scheduler ? scheduler.status() : null) {
+  mainWindow?.webContents.send('schedule-status', status);
+}
+
+async function runScheduledCleanup() {
+  const config = loadConfig();
+  const normalizedHandle = normalizeHandle(config.handle);
+  if (!normalizedHandle) return { outcome: 'failed', error: 'No X handle saved' };
+  if (isCleanupRunning) return { outcome: 'skipped', error: 'Another cleanup was already running' };
+
+  // Scheduled runs never prompt for a login
+  const sessionPath = getSessionPath(normalizedHandle);
+  if (!sessionPath || !fs.existsSync(sessionPath)) {
+    return { outcome: 'failed', error: `No saved session for @${normalizedHandle} - log in once from the app` };
+  }
+
+  const { error } = await checkRuntimeLicense();
+  if (error) return { outcome: 'failed', error };
+  if (isCleanupRunning) return { outcome: 'skipped', error: 'Another cleanup was already running' };
+
+  return new Promise((resolve) => {
+    // A hung run would otherwise hold the scheduler's single slot forever
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      cleanupProcess?.kill('SIGTERM');
+    }, schedule.RUN_TIMEOUT_MS);
+
+    // The CLI's own verdict wins; the exit code only decides when it died before reporting one
+    launchCleanupProcess(config, normalizedHandle, (code, err, result) => {
+      clearTimeout(timer);
+      const succeeded = !timedOut && (result ? result.outcome === 'success' && code === 0 : code === 0);
+      resolve({
+        outcome: succeeded ? 'success' : 'failed',
+        exitCode: code,
+        removed: cleanupStats.deleted,
+        error: timedOut
+          ? `Timed out after ${schedule.RUN_TIMEOUT_MS / 3600000} h`
+          : err?.message || result?.error || (succeeded ? null : code === null ? 'Stopped' : `Exited with code ${code}`)
+      });
+    }, { DMT_UNATTENDED: 'true' });
+  });
+}
+
+function refreshScheduler(config = loadConfig()) {
+  const settings = config.schedule?.enabled
+    ? { handle: normalizeHandle(config.handle), cron: config.schedule.cron || '@nightly', catchUp: config.schedule.catchUp || 'once' }
+    : null;
+  const key = JSON.stringify(settings);
+  if (key === activeSchedule) return;
+  activeSchedule = key;
+
+  scheduler?.stop();
+  scheduler = null;
+  if (settings) {
+    try {
+      scheduler = schedule.createScheduler({
+        dataDir: app.getPath('userData'),
+        ...settings,
+        run: runScheduledCleanup,
+        onLog: (type, message) => mainWindow?.webContents.send('cleanup-log', { type, message }),
+        onStatus: sendScheduleStatus
+      });
+      scheduler.start();
+    } catch (err) {
+      scheduler = null;
+      sendScheduleStatus({ error: err.message });
+      return;
+    }
+  }
+  sendScheduleStatus();
+}
+
+ipcMain.on('get-schedule-status', () => {
+  sendScheduleStatus();
+});
+
 // ═══════════════════════════════════════════════════════════
 // LICENSE KEY VALIDATION
 // ═══════════════════════════════════════════════════════════
@@ -347,26 +541,33 @@ async function validateLicenseWithServer(licenseKey) {
   return { valid: true, result };
 }
 
-async function ensureRuntimeLicense(event, replyChannel) {
+// Returns { license } or { error } - also used by scheduled runs, which have no IPC event to reply to
+async function checkRuntimeLicense() {
   const license = getLicenseData();
   if (!license || !license.licenseKey || !validateLicenseFormat(license.licenseKey)) {
-    event.reply(replyChannel, 'No valid license found. Please activate a valid license.');
-    return null;
+    return { error: 'No valid license found. Please activate a valid license.' };
   }
 
   try {
     const validation = await validateLicenseWithServer(license.licenseKey);
     if (!validation.valid) {
       deleteLicenseData();
-      event.reply(replyChannel, validation.error);
-      return null;
+      return { error: validation.error };
     }
-    return license;
+    return { license };
   } catch (err) {
     console.error('Runtime license validation failed:', err);
-    event.reply(replyChannel, 'Unable to verify license. Check your internet connection and try again.');
+    return { error: 'Unable to verify license. Check your internet connection and try again.' };
+  }
+}
+
+async function ensureRuntimeLicense(event, replyChannel) {
+  const { license, error } = await checkRuntimeLicense();
+  if (error) {
+    event.reply(replyChannel, error);
     return null;
   }
+  return license;
 }
 
 // Validate license key format: DMT-XXXX-XXXX-XXXX-XXXX
@@ -510,6 +711,7 @@ ipcMain.on('get-config', (event) => {
 
 ipcMain.on('save-config', (event, config) => {
   saveConfig(config);
+  refreshScheduler(config);
 });
 
 // Helper to get session path for a handle (uses userData folder)
@@ -6,6 +6,8 @@
 const fs = require("fs");
 const path = require("path");
 const { chromium } = require("playwright");
+const ledger = require("./ledger");
+const schedule = require("./schedule");
 
 // Check if running in CLI mode (not embedded in Electron)
 const IS_CLI = require.main === module;
@@ -127,24 +129,45 @@ function printHeader() {
 
 function printConfig(config) {
   if (!IS_CLI) return;
-  const { handle, target, deleteMonth, deleteYear, protectMonth, protectYear, posts, replies, reposts, speed } = config;
+  const { handle, target, deleteMonth, deleteYear, protectMonth, protectYear, deleteStart, deleteEnd, timezone, rolling, keepLatest, posts, replies, quotes, repliesTo, protectRepliesTo, reposts, repostsOf, keepRepostsOf, mediaFilter, likes, likesDateFilter, bookmarks, bookmarksDateFilter, speed, adaptiveSpeed, archive, search, dryRun } = config;
   const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  const deleteDate = `${months[deleteMonth - 1]} ${deleteYear}`;
-  const protectDate = `${months[protectMonth - 1]} ${protectYear}`;
-  const speedLabel = speed === 'aggressive' ? 'Aggressive' : speed === 'conservative' ? 'Conservative' : 'Normal';
+  const deleteLine = keepLatest > 0 ? `All but your newest ${keepLatest} per tab`
+    : rolling ? `Everything before ${formatDay(PROTECT_AFTER)}`
+    : deleteStart || deleteEnd ? `${describeStart()} → ${describeEnd()}`
+    : `Before ${months[deleteMonth - 1]} ${deleteYear}`;
+  const protectLine = keepLatest > 0 ? `Newest ${keepLatest} own tweets per tab`
+    : rolling ? `The ${describeRetention()} (rolling)`
+    : deleteEnd ? `From ${isoBound(PROTECT_AFTER)}`
+    : `After ${months[protectMonth - 1]} ${protectYear}`;
+  const replyTargets = [
+    repliesTo.length > 0 ? `only to ${repliesTo.map(h => '@' + h).join(', ')}` : '',
+    protectRepliesTo.length > 0 ? `never to ${protectRepliesTo.map(h => '@' + h).join(', ')}` : ''
+  ].filter(Boolean).join('; ');
+  const repostAuthors = [
+    repostsOf.length > 0 ? `only of ${repostsOf.map(h => '@' + h).join(', ')}` : '',
+    keepRepostsOf.length > 0 ? `never of ${keepRepostsOf.map(h => '@' + h).join(', ')}` : ''
+  ].filter(Boolean).join('; ');
+  const speedLabel = (speed === 'aggressive' ? 'Aggressive' : speed === 'conservative' ? 'Conservative' : 'Normal') + (adaptiveSpeed ? ' (adaptive)' : '');
 
   const configBox = boxen(
     chalk.bold.cyan('  CONFIGURATION\n') +
     chalk.gray('  ─────────────────────────────────\n') +
     `  ${chalk.cyan('Profile')}       ${chalk.white('@' + chalk.bold(handle))}\n` +
     `  ${chalk.cyan('Target')}        ${chalk.bold.white(target)} tweets\n` +
-    `  ${chalk.red('Delete')}        Before ${deleteDate}\n` +
-    `  ${chalk.green('Protect')}       After ${protectDate}\n` +
+    `  ${chalk.red('Delete')}        ${deleteLine}\n` +
+    `  ${chalk.green('Protect')}       ${protectLine}\n` +
+    (timezone ? `  ${chalk.cyan('Timezone')}      ${timezone}\n` : '') +
+    (mediaFilter.length > 0 ? `  ${chalk.cyan('Media')}         Only ${mediaFilter.join(', ')}\n` : '') +
     `  ${chalk.cyan('Speed')}         ${speedLabel}\n` +
+    `  ${chalk.cyan('Source')}        ${archive ? 'X archive' : search && !keepLatest ? 'X search (by date window)' : 'Profile timeline'}\n` +
+    `  ${chalk.cyan('Dry run')}       ${dryRun ? chalk.yellow('✓ YES (preview only)') : chalk.gray('✗ NO')}\n` +
     chalk.gray('  ─────────────────────────────────\n') +
     `  ${chalk.cyan('Posts')}         ${posts ? chalk.green('✓ YES') : chalk.gray('✗ NO')}\n` +
-    `  ${chalk.cyan('Replies')}       ${replies ? chalk.green('✓ YES') : chalk.gray('✗ NO')}\n` +
-    `  ${chalk.cyan('Reposts')}       ${reposts ? chalk.green('✓ YES') : chalk.gray('✗ NO')}`,
+    `  ${chalk.cyan('Replies')}       ${replies ? chalk.green(replyTargets ? `✓ YES (${replyTargets})` : '✓ YES') : chalk.gray('✗ NO')}\n` +
+    `  ${chalk.cyan('Quotes')}        ${quotes ? chalk.green('✓ YES') : chalk.gray('✗ NO')}\n` +
+    `  ${chalk.cyan('Reposts')}       ${reposts ? chalk.green(repostAuthors ? `✓ YES (${repostAuthors})` : '✓ YES') : chalk.gray('✗ NO')}\n` +
+    `  ${chalk.cyan('Likes')}         ${likes ? chalk.green(likesDateFilter === 'none' ? '✓ YES (all dates)' : '✓ YES (by tweet date)') : chalk.gray('✗ NO')}\n` +
+    `  ${chalk.cyan('Bookmarks')}     ${bookmarks ? chalk.green(bookmarksDateFilter === 'none' ? '✓ YES (all dates)' : '✓ YES (by tweet date)') : chalk.gray('✗ NO')}`,
     {
       padding: 1,
       margin: { top: 0, bottom: 1, left: 0, right: 0 },
@@ -216,7 +239,7 @@ function printSummary(removed, target, startTime) {
   const summaryBox = boxen(
     successGradient.multiline('  COMPLETE!\n') +
     chalk.gray('  ═══════════════════════════════\n') +
-    `  ${chalk.cyan('Deleted')}      ${chalk.bold.green(removed)} / ${target} (${percent}%)\n` +
+    `  ${chalk.cyan((DRY_RUN ? 'Would delete' : 'Deleted').padEnd(12))} ${chalk.bold.green(removed)} / ${target} (${percent}%)\n` +
     `  ${chalk.cyan('Time')}         ${elapsed} seconds\n` +
     `  ${chalk.cyan('Speed')}        ${rate}s per tweet\n` +
     chalk.gray('  ═══════════════════════════════'),
@@ -256,7 +279,7 @@ function updateProgress(current, tab, total) {
     progressBar.update(current, { tab });
   }
   if (onProgressCallback) {
-    onProgressCallback({ current, total, tab });
+    onProgressCallback({ current, total, tab, delayMs: { min: MIN_DELAY_MS, max: MAX_DELAY_MS } });
   }
 }
 
@@ -295,26 +318,27 @@ function saveConfig(config) {
   } catch {}
 }
 
-// Get storage file path for specific handle
+// Folder for per-account data files
 // Use app's userData folder in Electron, or __dirname for CLI
-function getStoragePath(handle) {
-  const normalizedHandle = normalizeHandle(handle);
-  if (!normalizedHandle) return null;
-
-  // Check if running in Electron
+function getDataDir() {
+  // The app passes its userData folder to the CLI it spawns. That child runs with ELECTRON_RUN_AS_NODE,
+  // where require('electron') is only the npm package's path string, so the env var has to come first.
+  if (process.env.ELECTRON_USER_DATA) return process.env.ELECTRON_USER_DATA;
   let basePath = __dirname;
   try {
     const { app } = require('electron');
     if (app && app.getPath) {
       basePath = app.getPath('userData');
     }
-  } catch {
-    // Not in Electron main process, check if we can get userData from env
-    if (process.env.ELECTRON_USER_DATA) {
-      basePath = process.env.ELECTRON_USER_DATA;
-    }
-  }
-  return path.resolve(basePath, `x_auth_${normalizedHandle}.json`);
+  } catch {}
+  return basePath;
+}
+
+// Get storage file path for specific handle
+function getStoragePath(handle) {
+  const normalizedHandle = normalizeHandle(handle);
+  if (!normalizedHandle) return null;
+  return path.resolve(getDataDir(), `x_auth_${normalizedHandle}.json`);
 }
 
 // Check if session is valid (exists and not expired)
@@ -348,6 +372,44 @@ function clearSession(handle) {
   } catch {}
 }
 
+// ================= PROTECT LIST =================
+// Status IDs or URLs that must never be deleted, one per array entry
+const PROTECT_LIST_FILE = path.resolve(__dirname, "deletemytweets_protected.json");
+
+// Accepts bare status IDs or any x.com/twitter.com status URL
+function parseStatusId(value) {
+  const text = String(value ?? "").trim();
+  const m = text.match(/\/status(?:es)?\/(\d+)/) || text.match(/^(\d{1,20})$/);
+  return m ? m[1] : null;
+}
+
+function splitIdList(raw) {
+  if (!raw) return [];
+  return Array.isArray(raw) ? raw : String(raw).split(/[\s,]+/);
+}
+
+// A protect file we cannot read must stop the run rather than silently protect nothing
+function loadProtectList(extra = []) {
+  let fromFile = [];
+  if (fs.existsSync(PROTECT_LIST_FILE)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(PROTECT_LIST_FILE, "utf8"));
+      fromFile = Array.isArray(data) ? data : (data.protected || []);
+    } catch (err) {
+      throw new Error(`Could not read ${path.basename(PROTECT_LIST_FILE)}: ${err.message}`);
+    }
+  }
+
+  const ids = new Set();
+  for (const entry of [...fromFile, ...splitIdList(extra)]) {
+    if (!String(entry ?? "").trim()) continue;
+    const id = parseStatusId(entry);
+    if (id) ids.add(id);
+    else log("warn", `Ignoring protect list entry (not a status ID or URL): ${entry}`);
+  }
+  return ids;
+}
+
 const savedConfig = loadConfig();
 
 // ================= CONFIG =================
@@ -372,7 +434,10 @@ const RETRYABLE_ACTION_REASONS = new Set([
   "menu-empty",
   "no-delete-item",
   "no-unretweet-btn",
-  "no-undo-item"
+  "no-undo-item",
+  "no-unlike-btn",
+  "no-unbookmark-btn",
+  "delete-unverified"
 ]);
 
 function parseRetryOverride(value) {
@@ -402,14 +467,30 @@ function applyRetryPreset(speed, overrides = {}) {
 let PROFILE_HANDLE = null;
 let INCLUDE_POSTS = true;
 let INCLUDE_REPLIES = true;
+let INCLUDE_QUOTES = true;  // Your quote tweets that aren't replies (quote replies follow INCLUDE_REPLIES); follows INCLUDE_POSTS unless set
 let HANDLE_REPOSTS = false;
+let INCLUDE_LIKES = false;  // Unlike tweets on the Likes tab
+let LIKES_DATE_FILTER = "tweet";  // "tweet" = filter likes by the liked tweet's date, "none" = unlike everything
+let INCLUDE_BOOKMARKS = false;  // Remove bookmarks at x.com/i/bookmarks
+let BOOKMARKS_DATE_FILTER = "tweet";  // Same policy as LIKES_DATE_FILTER
+let BOOKMARK_AUTHORS = [];  // When set, only bookmarks of tweets by these handles are removed
+let REPLIES_TO = [];  // When set, only your replies to these handles are deleted
+let PROTECT_REPLIES_TO = [];  // Your replies to these handles are never deleted
+let REPOSTS_OF = [];  // When set, only reposts of tweets by these handles are undone
+let KEEP_REPOSTS_OF = [];  // Reposts of tweets by these handles are never undone
+let RESUME = true;  // Skip status keys already decided by an earlier run with the same settings
+let BACKUP = true;  // Save each tweet's content to backups/<handle>/tweets.jsonl before removing it
+let BACKUP_SCREENSHOTS = false;  // Also save a PNG of the card next to the backup
+let RATE_LIMIT_CEILING_MIN = 30;  // Longest rate-limit pause in minutes; stop the run rather than wait longer
 let TARGET = 10000;  // Default to large batch for "set and forget" usage
 let HEADLESS = false;
 let PRIVATE_MODE = false;  // Use fresh browser instead of Edge profile
 let SPEED = "normal";
 let MIN_DELAY_MS = 1200;
 let MAX_DELAY_MS = 2200;
+let ADAPTIVE_SPEED = true;  // Widen/narrow the delays from the preset based on recent failure rates
 let LOGIN_WAIT_MS = 3 * 60 * 1000;
+let UNATTENDED = false;  // Scheduled runs: nobody is there to log in, so a missing session fails the run
 let STORAGE = path.resolve(__dirname, "x_auth_storage.json");
 let MAX_SCROLL_PASSES = 100;  // Increased for large accounts (31K+ tweets)
 let SCROLL_MIN_WAIT_MS = 200;
@@ -422,6 +503,142 @@ let PROTECT_MONTH = 1;
 let PROTECT_YEAR = 2025;
 let DELETE_BEFORE = null;
 let PROTECT_AFTER = null;
+let DELETE_START = null;  // Exact lower bound "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM" - overrides DELETE_MONTH/YEAR
+let DELETE_END = null;  // Exact upper bound, same format; a bare date keeps that whole day in the delete window
+let TIMEZONE = null;  // IANA zone every date bound is read in (e.g. "Europe/London"); null = this machine's zone
+let KEEP_LAST_DAYS = 0;  // Rolling retention - keep the last N days, delete everything older (overrides month/year bounds)
+let KEEP_LAST_MONTHS = 0;  // Same, in calendar months; KEEP_LAST_DAYS wins if both are set
+let KEEP_LATEST = 0;  // Count retention - keep your newest N tweets per tab, delete all older ones regardless of date
+let ARCHIVE_PATH = null;  // Unzipped X data archive - drives deletions by status ID instead of scrolling
+let DRY_RUN = false;  // Report candidates without deleting anything
+let SEARCH_MODE = false;  // Walk X search results for the delete range instead of scrolling Posts/Replies from the top
+let SELECTOR_PACK_PATH = null;  // Selector pack override; null = deletemytweets_selectors.json in the data folder
+let SELECTOR_CHECK = false;  // `node index.js selectors`: report which selectors match, then stop
+let INCLUDE_RULES = [];  // Content rules - when set, only matching tweets are deleted
+let MEDIA_FILTER = [];  // Media types (photo, video, gif, poll, link, quote, text) - when set, only tweets carrying one are deleted
+let EXCLUDE_RULES = [];  // Content rules - matching tweets are never deleted
+let ENGAGEMENT_THRESHOLDS = { likes: 0, reposts: 0, replies: 0, views: 0 };  // 0 = off; protect above
+let PROTECT_IDS = [];  // Extra protected status IDs/URLs on top of deletemytweets_protected.json
+let PROTECTED_IDS = new Set();  // Resolved at run start: protect file + PROTECT_IDS
+let PINNED_IDS = new Set();  // Pinned tweet(s) detected on the profile - always kept
+let LATEST_KEPT = new Map();  // tabName -> Set of status IDs kept by KEEP_LATEST (restored from checkpoints)
+
+// X never shows when a like or bookmark was made, only when the tweet was posted
+function parseDateFilterMode(value) {
+  return String(value || "").trim().toLowerCase() === "none" ? "none" : "tweet";
+}
+
+function parseRetentionCount(value) {
+  const n = parseInt(value ?? "0", 10);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function isRollingWindow() {
+  return KEEP_LAST_DAYS > 0 || KEEP_LAST_MONTHS > 0;
+}
+
+const RE_ISO_BOUND = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const zoneFormatters = new Map();
+
+// IANA name such as "Europe/London" or "UTC"; empty = this machine's zone
+function parseTimezone(value) {
+  const zone = String(value || "").trim();
+  if (!zone) return null;
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: zone }).resolvedOptions().timeZone;
+  } catch {
+    throw new Error(`Unknown timezone "${zone}" - use an IANA name like Europe/London or America/New_York`);
+  }
+}
+
+// Wall-clock fields of `date` in `zone` (local time when no zone is set)
+function zonedParts(date, zone = TIMEZONE) {
+  if (!zone) {
+    return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(), hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds() };
+  }
+  if (!zoneFormatters.has(zone)) {
+    zoneFormatters.set(zone, new Intl.DateTimeFormat("en-US", {
+      timeZone: zone, hourCycle: "h23",
+      year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric"
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of zoneFormatters.get(zone).formatToParts(date)) parts[type] = parseInt(value, 10);
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+// How far `zone` is ahead of UTC at the instant `ms`
+function zoneOffset(ms, zone) {
+  const p = zonedParts(new Date(ms), zone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - (ms - ms % 1000);
+}
+
+// Wall-clock time in TIMEZONE -> Date. Out-of-range fields roll over like the Date constructor's.
+function zonedDate(year, month, day, hour = 0, minute = 0, second = 0, zone = TIMEZONE) {
+  if (!zone) return new Date(year, month - 1, day, hour, minute, second);
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = wall - zoneOffset(wall, zone);
+  return new Date(wall - zoneOffset(guess, zone));  // Second pass corrects for a DST change between the two
+}
+
+// "2026-03-15" or "2026-03-15T18:30", read in TIMEZONE. With endOfDay a bare date covers
+// that whole day, so the bound becomes the following midnight.
+function parseDateBound(value, name, { endOfDay = false } = {}) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  const m = text.match(RE_ISO_BOUND);
+  const [year, month, day, hour = 0, minute = 0, second = 0] = m ? m.slice(1).map(v => v === undefined ? undefined : parseInt(v, 10)) : [];
+  const calendar = m && new Date(Date.UTC(year, month - 1, day));
+  if (!m || calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    throw new Error(`Invalid ${name} "${text}" - use YYYY-MM-DD or YYYY-MM-DDTHH:MM`);
+  }
+  const dateOnly = m[4] === undefined;
+  return zonedDate(year, month, day + (endOfDay && dateOnly ? 1 : 0), hour, minute, second);
+}
+
+// month is 1-12 but may run past either end (0 = December of the year before)
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function isDateOnly(bound) {
+  return !String(bound).includes("T");
+}
+
+// Absolute bounds (exact dates, else month/year), or a rolling window measured back from today.
+// The rolling cutoff is rounded to midnight so repeat runs on the same day share a window (and checkpoints).
+function resolveDateWindow(now = new Date()) {
+  if (isRollingWindow()) {
+    const today = zonedParts(now);
+    PROTECT_AFTER = KEEP_LAST_DAYS > 0
+      ? zonedDate(today.year, today.month, today.day - KEEP_LAST_DAYS)
+      : zonedDate(today.year, today.month - KEEP_LAST_MONTHS, Math.min(today.day, daysInMonth(today.year, today.month - KEEP_LAST_MONTHS)));
+    DELETE_BEFORE = new Date(0);  // No lower bound: everything older than the window goes
+    return;
+  }
+  const start = parseDateBound(DELETE_START, "DELETE_START");
+  const end = parseDateBound(DELETE_END, "DELETE_END", { endOfDay: true });
+  DELETE_BEFORE = start || zonedDate(DELETE_YEAR, DELETE_MONTH, 1);
+  PROTECT_AFTER = end || zonedDate(PROTECT_YEAR, PROTECT_MONTH, 1);
+  if ((start || end) && DELETE_BEFORE >= PROTECT_AFTER) {
+    throw new Error(`The delete window is empty: it runs from ${describeStart()} to ${describeEnd()}`);
+  }
+}
+
+function parseHandleList(raw) {
+  const values = Array.isArray(raw) ? raw : String(raw || "").split(/[\s,]+/);
+  return values.map(normalizeHandle).filter(Boolean);
+}
+
+function exitWithConfigError(message, example) {
+  console.log(boxen(
+    chalk.red.bold(`ERROR: ${message}\n\n`) +
+    chalk.white.bold('Example:\n') +
+    chalk.gray(`  ${example}`),
+    { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'red', title: '✗ Error', titleAlignment: 'center' }
+  ));
+  process.exit(1);
+}
 
 // Parse config from environment (CLI mode only)
 function parseEnvConfig() {
@@ -461,7 +678,20 @@ function parseEnvConfig() {
 
   INCLUDE_POSTS = (process.env.DMT_POSTS ?? process.env.INCLUDE_POSTS ?? "true") === "true";
   INCLUDE_REPLIES = (process.env.DMT_REPLIES ?? process.env.INCLUDE_REPLIES ?? "true") === "true";
+  INCLUDE_QUOTES = (process.env.DMT_QUOTES ?? process.env.INCLUDE_QUOTES ?? String(INCLUDE_POSTS)) === "true";
   HANDLE_REPOSTS = (process.env.DMT_REPOSTS ?? process.env.HANDLE_REPOSTS ?? "false") === "true";
+  INCLUDE_LIKES = (process.env.DMT_LIKES ?? process.env.INCLUDE_LIKES ?? "false") === "true";
+  LIKES_DATE_FILTER = parseDateFilterMode(process.env.DMT_LIKES_DATE_FILTER ?? process.env.LIKES_DATE_FILTER);
+  INCLUDE_BOOKMARKS = (process.env.DMT_BOOKMARKS ?? process.env.INCLUDE_BOOKMARKS ?? "false") === "true";
+  BOOKMARKS_DATE_FILTER = parseDateFilterMode(process.env.DMT_BOOKMARKS_DATE_FILTER ?? process.env.BOOKMARKS_DATE_FILTER);
+  BOOKMARK_AUTHORS = parseHandleList(process.env.DMT_BOOKMARK_AUTHORS ?? process.env.BOOKMARK_AUTHORS);
+  REPLIES_TO = parseHandleList(process.env.DMT_REPLIES_TO ?? process.env.REPLIES_TO);
+  PROTECT_REPLIES_TO = parseHandleList(process.env.DMT_PROTECT_REPLIES_TO ?? process.env.PROTECT_REPLIES_TO);
+  REPOSTS_OF = parseHandleList(process.env.DMT_REPOSTS_OF ?? process.env.REPOSTS_OF);
+  KEEP_REPOSTS_OF = parseHandleList(process.env.DMT_KEEP_REPOSTS_OF ?? process.env.KEEP_REPOSTS_OF);
+  RESUME = (process.env.DMT_RESUME ?? process.env.RESUME ?? "true") !== "false";
+  BACKUP = (process.env.DMT_BACKUP ?? process.env.BACKUP ?? "true") !== "false";
+  BACKUP_SCREENSHOTS = (process.env.DMT_BACKUP_SCREENSHOTS ?? process.env.BACKUP_SCREENSHOTS ?? "false") === "true";
 
   TARGET = parseInt(process.env.DMT_TARGET ?? process.env.TARGET ?? "10000", 10);
   HEADLESS = (process.env.DMT_HEADLESS ?? process.env.HEADLESS ?? "false") === "true";
@@ -471,6 +701,7 @@ function parseEnvConfig() {
   const delays = SPEED_PRESETS[SPEED] || SPEED_PRESETS.normal;
   MIN_DELAY_MS = parseInt(process.env.MIN_DELAY_MS ?? String(delays.min), 10);
   MAX_DELAY_MS = parseInt(process.env.MAX_DELAY_MS ?? String(delays.max), 10);
+  ADAPTIVE_SPEED = (process.env.DMT_ADAPTIVE_SPEED ?? process.env.ADAPTIVE_SPEED ?? "true") !== "false";
   applyRetryPreset(SPEED, {
     unknownDate: process.env.DMT_UNKNOWN_DATE_RETRIES ?? process.env.UNKNOWN_DATE_RETRIES,
     ownership: process.env.DMT_OWNERSHIP_RETRIES ?? process.env.OWNERSHIP_RETRIES,
@@ -478,6 +709,7 @@ function parseEnvConfig() {
   });
 
   LOGIN_WAIT_MS = parseInt(process.env.LOGIN_WAIT_MS ?? String(3 * 60 * 1000), 10);
+  UNATTENDED = process.env.DMT_UNATTENDED === "true";
   STORAGE = path.resolve(__dirname, "x_auth_storage.json");
 
   MAX_SCROLL_PASSES = parseInt(process.env.MAX_SCROLL_PASSES ?? "5", 10);
@@ -491,13 +723,218 @@ function parseEnvConfig() {
   PROTECT_MONTH = parseInt(process.env.DMT_PROTECT_MONTH ?? process.env.PROTECT_MONTH ?? "01", 10);
   PROTECT_YEAR = parseInt(process.env.DMT_PROTECT_YEAR ?? process.env.PROTECT_YEAR ?? process.env.PROTECT_YEAR_AND_NEWER ?? "2025", 10);
 
-  DELETE_BEFORE = new Date(DELETE_YEAR, DELETE_MONTH - 1, 1);
-  PROTECT_AFTER = new Date(PROTECT_YEAR, PROTECT_MONTH - 1, 1);
+  KEEP_LAST_DAYS = parseRetentionCount(process.env.DMT_KEEP_LAST_DAYS ?? process.env.KEEP_LAST_DAYS);
+  KEEP_LAST_MONTHS = parseRetentionCount(process.env.DMT_KEEP_LAST_MONTHS ?? process.env.KEEP_LAST_MONTHS);
+  DELETE_START = process.env.DMT_DELETE_START || process.env.DELETE_START || null;
+  DELETE_END = process.env.DMT_DELETE_END || process.env.DELETE_END || null;
+  try {
+    TIMEZONE = parseTimezone(process.env.DMT_TIMEZONE ?? process.env.TIMEZONE);
+    resolveDateWindow();
+  } catch (err) {
+    exitWithConfigError(err.message, 'DELETE_START=2019-01-01 DELETE_END=2026-03-15 TIMEZONE=Europe/London node index.js johndoe');
+  }
+  KEEP_LATEST = parseRetentionCount(process.env.DMT_KEEP_LATEST ?? process.env.KEEP_LATEST);
+  RATE_LIMIT_CEILING_MIN = parseRateLimitCeiling(process.env.DMT_RATE_LIMIT_CEILING ?? process.env.RATE_LIMIT_CEILING);
+
+  ARCHIVE_PATH = process.env.DMT_ARCHIVE_PATH || process.env.ARCHIVE_PATH || null;
+  SELECTOR_PACK_PATH = process.env.DMT_SELECTOR_PACK || process.env.SELECTOR_PACK || null;
+  DRY_RUN = (process.env.DMT_DRY_RUN ?? process.env.DRY_RUN ?? "false") === "true";
+  SEARCH_MODE = (process.env.DMT_SEARCH_MODE ?? process.env.SEARCH_MODE ?? "false") === "true";
+  try {
+    INCLUDE_RULES = parseContentRules(process.env.DMT_INCLUDE_FILTERS ?? process.env.INCLUDE_FILTERS);
+    EXCLUDE_RULES = parseContentRules(process.env.DMT_EXCLUDE_FILTERS ?? process.env.EXCLUDE_FILTERS);
+  } catch (err) {
+    exitWithConfigError(err.message, 'EXCLUDE_FILTERS="#keep, /^gm\\b/i, domain:example.com" node index.js johndoe');
+  }
+  try {
+    MEDIA_FILTER = parseMediaFilter(process.env.DMT_MEDIA_FILTER ?? process.env.MEDIA_FILTER);
+  } catch (err) {
+    exitWithConfigError(err.message, 'MEDIA_FILTER=photo,video,gif node index.js johndoe');
+  }
+  PROTECT_IDS = splitIdList(process.env.DMT_PROTECT_IDS ?? process.env.PROTECT_IDS);
+  ENGAGEMENT_THRESHOLDS = parseEngagementThresholds({
+    likes: process.env.DMT_PROTECT_LIKES ?? process.env.PROTECT_LIKES,
+    reposts: process.env.DMT_PROTECT_REPOSTS ?? process.env.PROTECT_REPOSTS,
+    replies: process.env.DMT_PROTECT_REPLIES ?? process.env.PROTECT_REPLIES,
+    views: process.env.DMT_PROTECT_VIEWS ?? process.env.PROTECT_VIEWS
+  });
+}
+
+
+// ================= SELECTOR PACK =================
+// Every selector comes from selectors.json and every menu text from locales.json. A
+// deletemytweets_selectors.json in the data folder (or DMT_SELECTOR_PACK) overrides single entries,
+// so a markup change on X can be patched without waiting for a new build.
+// `node index.js selectors` reports what still matches.
+const BUILTIN_SELECTOR_PACK = require("./selectors.json");
+const SELECTOR_PACK_FORMAT = 1;
+const SELECTOR_OVERRIDE_FILE = "deletemytweets_selectors.json";
+let SELECTORS = {};  // name -> { where, css: [...] }
+let SELECTOR_PACK_INFO = { version: BUILTIN_SELECTOR_PACK.version, source: "built-in", overridden: [] };
+
+// One Playwright selector list for a pack entry
+function sel(name) {
+  return SELECTORS[name].css.join(", ");
+}
+
+// The same list with `suffix` appended to each alternative, e.g. a link inside User-Name
+function selWith(name, suffix) {
+  return SELECTORS[name].css.map(css => `${css}${suffix}`).join(", ");
+}
+
+// Lays `pack` over `base` entry by entry; malformed entries keep the base value and are reported
+function mergeSelectorPack(base, pack, problems) {
+  const merged = { selectors: { ...base.selectors }, locales: { ...base.locales }, overridden: [] };
+  if (pack?.format !== SELECTOR_PACK_FORMAT) {
+    problems.push(`format ${pack?.format} is not supported (expected ${SELECTOR_PACK_FORMAT})`);
+    return merged;
+  }
+  for (const [name, spec] of Object.entries(pack.selectors || {})) {
+    if (!base.selectors[name]) {
+      problems.push(`unknown selector "${name}"`);
+      continue;
+    }
+    const css = typeof spec === "string" ? [spec] : Array.isArray(spec) ? spec : spec?.css;
+    if (!Array.isArray(css) || css.length === 0 || !css.every(c => typeof c === "string" && c.trim())) {
+      problems.push(`selector "${name}" needs a non-empty list of CSS strings`);
+      continue;
+    }
+    merged.selectors[name] = { where: base.selectors[name].where, css };
+    merged.overridden.push(name);
+  }
+  if (pack.patterns) {
+    problems.push(`"patterns" moved to the locale packs - put them under locales.<code>.rateLimit / postGone`);
+  }
+  mergeLocalePacks(merged, pack.locales || {}, problems);
+  return merged;
+}
+
+function applySelectorPack(pack, info) {
+  SELECTORS = pack.selectors;
+  SELECTOR_PACK_INFO = info;
+  LOCALES = pack.locales;
+  applyLocale(UI_LOCALE && LOCALES[UI_LOCALE] ? UI_LOCALE : null);
+}
+
+// A broken override falls back to the built-in entries rather than stopping the run
+function loadSelectorPack(overridePath) {
+  const filePath = overridePath ? path.resolve(overridePath) : path.resolve(getDataDir(), SELECTOR_OVERRIDE_FILE);
+  const builtin = { selectors: BUILTIN_SELECTOR_PACK.selectors, locales: BUILTIN_LOCALE_PACK.locales };
+  const problems = [];
+  let pack = { ...builtin, overridden: [] };
+  let info = { version: BUILTIN_SELECTOR_PACK.version, source: "built-in", overridden: [] };
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const local = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      pack = mergeSelectorPack(builtin, local, problems);
+      if (pack.overridden.length > 0) {
+        info = { version: local.version || BUILTIN_SELECTOR_PACK.version, source: filePath, overridden: pack.overridden };
+      }
+    } catch (err) {
+      problems.push(`could not read it (${err.message})`);
+    }
+  } else if (overridePath) {
+    problems.push("file not found");
+  }
+
+  for (const problem of problems) log("warn", `Selector pack ${filePath}: ${problem} - using the built-in entry`);
+  applySelectorPack(pack, info);
+  return info;
+}
+
+// ================= LOCALE PACKS =================
+// Menu, social-context and error texts per X display language. The language is read from the page's
+// `lang` attribute after login; until then (and if it can't be read) every pack is matched at once.
+const BUILTIN_LOCALE_PACK = require("./locales.json");
+const LOCALE_KEYS = ["delete", "undoRepost", "reposted", "pinned", "rateLimit", "postGone"];
+const REQUIRED_LOCALE_KEYS = ["delete", "undoRepost", "reposted", "pinned"];  // Error texts fall back to English
+let LOCALES = {};  // code -> { name, delete: [...], undoRepost: [...], reposted: [...], pinned: [...], rateLimit: [...], postGone: [...] }
+let UI_LOCALE = null;  // Detected pack code, null = all packs
+let RE_DELETE, RE_UNDO_REPOST, RE_REPOSTED, RE_PINNED, RE_RATE_LIMIT, RE_POST_GONE;
+
+const validLocaleList = list => Array.isArray(list) && list.length > 0 && list.every(fragment => {
+  if (typeof fragment !== "string" || !fragment.trim()) return false;
+  try { new RegExp(fragment, "i"); return true; } catch { return false; }
+});
+
+// Override entries patch a shipped locale key by key; a new locale has to bring every menu key
+function mergeLocalePacks(merged, locales, problems) {
+  for (const [rawCode, entry] of Object.entries(locales)) {
+    const code = rawCode.toLowerCase();
+    const base = merged.locales[code];
+    const next = { ...(base || { name: entry?.name || code }) };
+    let changed = false;
+    for (const key of LOCALE_KEYS) {
+      if (entry?.[key] === undefined) continue;
+      if (!validLocaleList(entry[key])) {
+        problems.push(`locale "${code}" ${key} needs a non-empty list of regex strings`);
+        continue;
+      }
+      next[key] = entry[key];
+      changed = true;
+    }
+    if (!base && !REQUIRED_LOCALE_KEYS.every(key => next[key])) {
+      problems.push(`new locale "${code}" needs ${REQUIRED_LOCALE_KEYS.join(", ")}`);
+      continue;
+    }
+    if (!changed) continue;
+    merged.locales[code] = next;
+    merged.overridden.push(`locale:${code}`);
+  }
+}
+
+function localeRegex(key, codes) {
+  const fragments = codes.flatMap(code => LOCALES[code][key] || []);
+  return new RegExp(`(${fragments.join("|")})`, "i");
+}
+
+function applyLocale(code) {
+  UI_LOCALE = code;
+  const codes = code ? [code] : Object.keys(LOCALES);
+  RE_DELETE = localeRegex("delete", codes);
+  RE_UNDO_REPOST = localeRegex("undoRepost", codes);
+  RE_REPOSTED = localeRegex("reposted", codes);
+  RE_PINNED = localeRegex("pinned", codes);
+  // X shows some error pages in English whatever the display language
+  const errorCodes = [...new Set([...codes, "en"])];
+  RE_RATE_LIMIT = localeRegex("rateLimit", errorCodes);
+  RE_POST_GONE = localeRegex("postGone", errorCodes);
+}
+
+// "pt-BR" -> "pt", "zh-Hant" -> "zh-tw"; null when no pack covers it
+function resolveLocale(lang) {
+  const tag = String(lang || "").trim().toLowerCase().replace(/_/g, "-");
+  if (!tag) return null;
+  const aliases = BUILTIN_LOCALE_PACK.aliases || {};
+  for (const candidate of [tag, tag.split("-")[0]]) {
+    const code = LOCALES[candidate] ? candidate : aliases[candidate];
+    if (code && LOCALES[code]) return code;
+  }
+  return null;
 }
 
+async function detectUiLocale(page) {
+  const lang = await withTimeout(page.evaluate(() => document.documentElement.lang || "").catch(() => ""), 3000, "");
+  if (!lang) {
+    log("warn", "Could not read X's display language - matching menu texts in every supported language");
+    applyLocale(null);
+    return null;
+  }
+  const code = resolveLocale(lang);
+  if (!code) {
+    throw new Error(
+      `X is displayed in "${lang}", which has no locale pack, so menu items like Delete can't be recognised. ` +
+      `Switch X to a supported language (Settings > Accessibility, display, and languages > Languages) or add a "${lang}" entry ` +
+      `under "locales" in ${SELECTOR_OVERRIDE_FILE}. Supported: ${Object.keys(LOCALES).join(", ")}`
+    );
+  }
+  applyLocale(code);
+  log("info", `X display language: ${LOCALES[code].name} (${lang})`);
+  return code;
+}
 
-const RE_DELETE = /(Delete|Eliminar|Supprimer|Löschen|Elimina|Excluir|Удалить|削除|삭제|刪除)/i;
-const RE_UNDO_REPOST = /(Undo\s+(Repost|Retweet)|Unretweet|Deshacer\s+Repost|Annuler\s+Retweet|zurücknehmen|Desfazer|Отменить|취소|转推)/i;
+applySelectorPack({ ...BUILTIN_SELECTOR_PACK, locales: BUILTIN_LOCALE_PACK.locales }, SELECTOR_PACK_INFO);
 
 // ================= UTILITIES =================
 function rand(min, max) { return Math.floor(min + Math.random() * (max - min + 1)); }
@@ -527,6 +964,7 @@ function registerActionFailure(seen, retryState, key, reason, options = {}) {
     finalizeSeenKey(seen, retryState, key);
     return false;
   }
+  noteSpeedOutcome(true);
 
   const retryEntry = getRetryEntry(retryState, key);
   if (retryEntry.action < MAX_ACTION_RETRIES) {
@@ -586,39 +1024,8 @@ async function pauseAllVideos(page) {
 // Dismiss common X/Twitter popups that can block interactions
 async function dismissPopups(page) {
   try {
-    // Cookie consent - "Accept all cookies" or close button
-    const cookieSelectors = [
-      '[data-testid="BottomBar"] button:has-text("Accept")',
-      'button:has-text("Accept all cookies")',
-      'button:has-text("Accept cookies")',
-      '[aria-label="Close"]'
-    ];
-
-    // Premium/subscription prompts
-    const premiumSelectors = [
-      '[data-testid="sheetDialog"] [aria-label="Close"]',
-      '[role="dialog"] button[aria-label="Close"]',
-      'button:has-text("Not now")',
-      'button:has-text("Maybe later")'
-    ];
-
-    // Notification prompts
-    const notificationSelectors = [
-      'button:has-text("Not now")',
-      '[data-testid="app-bar-close"]'
-    ];
-
-    // General modal close buttons
-    const closeSelectors = [
-      '[data-testid="app-bar-close"]',
-      '[data-testid="xMigrationBottomBar"] button',
-      '[role="dialog"] [aria-label="Close"]',
-      'div[data-testid="confirmationSheetCancel"]'
-    ];
-
-    const allSelectors = [...cookieSelectors, ...premiumSelectors, ...notificationSelectors, ...closeSelectors];
-
-    for (const selector of allSelectors) {
+    // Cookie consent, premium and notification prompts, generic modal close buttons
+    for (const selector of SELECTORS.popups.css) {
       try {
         const el = page.locator(selector).first();
         const count = await el.count().catch(() => 0);
@@ -653,13 +1060,7 @@ async function signOut(page, context) {
     await page.waitForTimeout(1500);
 
     // Click the logout confirmation button if present
-    const confirmSelectors = [
-      '[data-testid="confirmationSheetConfirm"]',
-      'button:has-text("Log out")',
-      '[role="button"]:has-text("Log out")'
-    ];
-
-    for (const selector of confirmSelectors) {
+    for (const selector of SELECTORS.logoutConfirm.css) {
       const btn = page.locator(selector);
       const count = await btn.count().catch(() => 0);
       if (count > 0) {
@@ -693,14 +1094,7 @@ async function signOut(page, context) {
 async function getLoggedInHandle(page) {
   try {
     // Look for the account switcher in the sidebar which shows current handle
-    const accountSelectors = [
-      '[data-testid="SideNav_AccountSwitcher_Button"] [dir="ltr"] span',  // Sidebar account button
-      '[data-testid="AccountSwitcher"] span[dir="ltr"]',
-      'nav [data-testid="AppTabBar_Profile_Link"]',  // Profile link in nav
-      'a[href*="/"][data-testid="AppTabBar_Profile_Link"]'
-    ];
-
-    for (const selector of accountSelectors) {
+    for (const selector of SELECTORS.accountSwitcher.css) {
       const el = page.locator(selector);
       const count = await el.count().catch(() => 0);
       if (count > 0) {
@@ -712,7 +1106,7 @@ async function getLoggedInHandle(page) {
     }
 
     // Try to get from profile link href
-    const profileLink = page.locator('[data-testid="AppTabBar_Profile_Link"]');
+    const profileLink = page.locator(sel("profileTab"));
     const href = await profileLink.getAttribute('href').catch(() => null);
     if (href) {
       const match = href.match(/^\/(\w+)$/);
@@ -745,15 +1139,7 @@ async function verifyAccount(page, expectedHandle) {
     }
 
     // Strategy 1: Look for "Edit profile" button (multiple possible selectors)
-    const editSelectors = [
-      '[data-testid="editProfileButton"]',           // Most reliable - data-testid
-      'a[href="/settings/profile"]',                  // Direct link
-      'button:has-text("Edit profile")',              // Button with text
-      'a:has-text("Edit profile")',                   // Link with text
-      '[aria-label="Edit profile"]'                   // Aria label
-    ];
-
-    for (const selector of editSelectors) {
+    for (const selector of SELECTORS.editProfile.css) {
       const el = page.locator(selector);
       const count = await el.count().catch(() => 0);
       if (count > 0) {
@@ -763,14 +1149,8 @@ async function verifyAccount(page, expectedHandle) {
     }
 
     // Strategy 2: Check if there's NO "Follow" button (means it's our profile)
-    const followSelectors = [
-      '[data-testid="followButton"]',
-      'button:has-text("Follow")',
-      '[aria-label*="Follow @"]'
-    ];
-
     let hasFollowButton = false;
-    for (const selector of followSelectors) {
+    for (const selector of SELECTORS.followButton.css) {
       const el = page.locator(selector);
       const count = await el.count().catch(() => 0);
       if (count > 0) {
@@ -823,6 +1203,11 @@ async function waitForLogin(page, context, spinner, storagePath) {
   return false;
 }
 
+function failUnattendedLogin() {
+  log("error", `No valid session for @${PROFILE_HANDLE} - log in once from the app or an interactive run before scheduling`);
+  return false;
+}
+
 async function ensureLoggedIn(page, context) {
   const storagePath = getStoragePath(PROFILE_HANDLE);
 
@@ -848,6 +1233,7 @@ async function ensureLoggedIn(page, context) {
     } else {
       // Logged in but wrong account - sign out and force re-login
       log("warn", chalk.yellow(`Logged in as wrong account! Need @${PROFILE_HANDLE}`));
+      if (UNATTENDED) return failUnattendedLogin();
       clearSession(PROFILE_HANDLE);
 
       // Use proper sign out
@@ -858,6 +1244,7 @@ async function ensureLoggedIn(page, context) {
     }
   } else {
     // Not logged in at all
+    if (UNATTENDED) return failUnattendedLogin();
     log("info", `Not logged in. Please log in as @${PROFILE_HANDLE}`);
   }
 
@@ -916,7 +1303,12 @@ async function ensureLoggedIn(page, context) {
     return false;
   }
 
-  // CLI mode: wait for Enter key
+  // CLI mode: wait for Enter key - unless there is no terminal to press it in (spawned by the app)
+  if (!process.stdin.isTTY) {
+    spinner.fail(chalk.red('Login timeout'));
+    log("error", "Login timeout - please try again");
+    return false;
+  }
   spinner.warn(chalk.yellow('Still waiting... Press Enter after logging in.'));
   await new Promise(res => { process.stdin.resume(); process.stdin.once("data", res); });
 
@@ -946,13 +1338,20 @@ async function ensureLoggedIn(page, context) {
 }
 
 // ================= NAVIGATION =================
-async function gotoProfileTab(page, tab) {
-  const url = tab === "Replies"
+// `search` is a { url, label } results page standing in for the Posts/Replies tab
+async function gotoProfileTab(page, tab, search = null) {
+  const url = search ? search.url : tab === "Replies"
     ? `https://x.com/${PROFILE_HANDLE}/with_replies`
-    : `https://x.com/${PROFILE_HANDLE}`;
+    : tab === "Likes"
+      ? `https://x.com/${PROFILE_HANDLE}/likes`
+      : tab === "Bookmarks"
+        ? "https://x.com/i/bookmarks"
+        : `https://x.com/${PROFILE_HANDLE}`;
+  // Bookmarks and search are not under the profile, so check the landing page by path instead
+  const expectedInUrl = search ? "/search" : tab === "Bookmarks" ? "/i/bookmarks" : PROFILE_HANDLE;
 
   const spinner = ora({
-    text: chalk.cyan(`Loading ${tab}...`),
+    text: chalk.cyan(search ? `Searching ${tab} ${search.label}...` : `Loading ${tab}...`),
     spinner: 'dots12'
   }).start();
 
@@ -965,7 +1364,7 @@ async function gotoProfileTab(page, tab) {
     await page.waitForSelector("main", { timeout: 30000 });
 
     const currentUrl = page.url();
-    if (!currentUrl.includes(PROFILE_HANDLE)) {
+    if (!currentUrl.includes(expectedInUrl)) {
       spinner.text = chalk.yellow('Retrying navigation...');
       await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
       await pauseAllVideos(page);
@@ -974,7 +1373,7 @@ async function gotoProfileTab(page, tab) {
     // Dismiss any popups that appeared (cookie banners, premium prompts, etc)
     await dismissPopups(page);
 
-    spinner.succeed(chalk.green(`Loaded @${PROFILE_HANDLE}/${tab}`));
+    spinner.succeed(chalk.green(search ? `Loaded ${tab} search ${search.label}` : tab === "Bookmarks" ? "Loaded Bookmarks" : `Loaded @${PROFILE_HANDLE}/${tab}`));
   } catch (err) {
     spinner.fail(chalk.red(`Navigation failed: ${err.message}`));
     throw err;
@@ -982,7 +1381,7 @@ async function gotoProfileTab(page, tab) {
 }
 
 function allCards(page) {
-  return page.locator('article[data-testid="tweet"], article[role="article"]');
+  return page.locator(sel("tweet"));
 }
 
 // ================= DATE EXTRACTION =================
@@ -998,13 +1397,7 @@ async function dateFromLocator(locator, timeoutMs) {
 }
 
 async function readTweetDate(card, timeoutMs) {
-  const selectors = [
-    '[data-testid="User-Name"] time[datetime]',
-    'a[href*="/status/"] time[datetime]',
-    'time[datetime]'
-  ];
-
-  for (const selector of selectors) {
+  for (const selector of SELECTORS.tweetTime.css) {
     const date = await dateFromLocator(card.locator(selector).first(), timeoutMs);
     if (date) return date;
   }
@@ -1026,13 +1419,53 @@ async function getTweetDate(card) {
 
 function formatDate(date) {
   const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  return `${months[date.getMonth()]} ${date.getFullYear()}`;
+  const { year, month } = zonedParts(date);
+  return `${months[month - 1]} ${year}`;
+}
+
+function formatDay(date) {
+  return `${zonedParts(date).day} ${formatDate(date)}`;
+}
+
+// "2026-03-16", or "2026-03-15T18:30" when the bound is not at midnight (in TIMEZONE)
+function isoBound(date) {
+  const { year, month, day, hour, minute, second } = zonedParts(date);
+  const pad = n => String(n).padStart(2, "0");
+  const dateText = `${year}-${pad(month)}-${pad(day)}`;
+  return hour || minute || second ? `${dateText}T${pad(hour)}:${pad(minute)}` : dateText;
+}
+
+function describeRetention() {
+  return KEEP_LAST_DAYS > 0 ? `last ${KEEP_LAST_DAYS} day(s)` : `last ${KEEP_LAST_MONTHS} month(s)`;
+}
+
+// Exact bounds as given, month/year bounds as "Dec 2014"
+function describeStart() {
+  return DELETE_START ? DELETE_START : formatDate(DELETE_BEFORE);
+}
+
+function describeEnd() {
+  if (!DELETE_END) return formatDate(PROTECT_AFTER);
+  return isDateOnly(DELETE_END) ? `${DELETE_END} (inclusive)` : DELETE_END;
+}
+
+// "from Dec 2014 to Jan 2025", "from 2019-01-01 to 2026-03-15 (inclusive)", or "before 20 Jul 2026" for a rolling window
+function describeDeleteRange() {
+  if (isRollingWindow()) return `before ${formatDay(PROTECT_AFTER)}`;
+  return `from ${describeStart()} to ${describeEnd()}`;
+}
+
+function describeDateWindow() {
+  const zone = TIMEZONE ? ` (${TIMEZONE} time)` : "";
+  if (isRollingWindow()) return `DELETE ${describeDeleteRange()}, KEEP the ${describeRetention()}${zone}`;
+  const protect = DELETE_END ? `from ${isoBound(PROTECT_AFTER)}` : `after ${formatDate(PROTECT_AFTER)}`;
+  return `DELETE ${describeDeleteRange()}, PROTECT ${protect}${zone}`;
 }
 
 async function getTweetPreview(card) {
   try {
     const tweetText = await withTimeout(
-      card.locator('[data-testid="tweetText"]').first().innerText().catch(() => ""),
+      card.locator(sel("tweetText")).first().innerText().catch(() => ""),
       2000, ""
     );
     let preview = (tweetText || "").substring(0, 40).replace(/\n/g, " ");
@@ -1043,170 +1476,793 @@ async function getTweetPreview(card) {
   }
 }
 
+// Date window decision shared by timeline cards and archive entries
+function decideByDate(tweetDate) {
+  if (tweetDate === null) return "unknown";
+  if (tweetDate >= PROTECT_AFTER) return "protect";
+  if (tweetDate >= DELETE_BEFORE) return "delete";
+  return "too-old";
+}
+
 async function shouldDeleteByDate(card) {
   const [tweetDate, preview] = await Promise.all([
     getTweetDate(card),
     getTweetPreview(card)
   ]);
 
-  if (tweetDate === null) {
-    return { decision: "unknown", dateStr: null, preview };
-  }
-
-  const dateStr = formatDate(tweetDate);
+  const decision = decideByDate(tweetDate);
+  const dateStr = tweetDate === null ? null : formatDate(tweetDate);
+  return { decision, date: tweetDate, dateStr, preview };
+}
 
-  if (tweetDate >= PROTECT_AFTER) {
-    return { decision: "protect", dateStr, preview };
+// ================= CONTENT FILTERS =================
+// Rule syntax: #hashtag, @mention, domain:example.com, /regex/flags - anything else is a keyword.
+// Lists are separated by commas or newlines (commas inside /regex/ are kept).
+function splitContentRules(raw) {
+  const tokens = [];
+  let current = "";
+  let inRegex = false;
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+    if (ch === "/" && (inRegex ? raw[i - 1] !== "\\" : current.trim() === "")) inRegex = !inRegex;
+    if (!inRegex && (ch === "," || ch === "\n")) {
+      tokens.push(current);
+      current = "";
+      continue;
+    }
+    current += ch;
   }
+  tokens.push(current);
+  return tokens.map(t => t.trim()).filter(Boolean);
+}
 
-  if (tweetDate >= DELETE_BEFORE) {
-    return { decision: "delete", dateStr, preview };
+function parseContentRule(token) {
+  const regexMatch = token.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      // Drop g/y so repeated test() calls stay stateless
+      return { type: "regex", value: new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, "")), label: token };
+    } catch (err) {
+      throw new Error(`Invalid regex filter ${token}: ${err.message}`);
+    }
   }
-
-  return { decision: "too-old", dateStr, preview };
+  if (token.startsWith("#")) return { type: "hashtag", value: token.slice(1).toLowerCase(), label: token };
+  if (token.startsWith("@")) return { type: "mention", value: token.slice(1).toLowerCase(), label: token };
+  if (/^domain:/i.test(token)) {
+    return { type: "domain", value: token.slice(7).trim().toLowerCase().replace(/^www\./, ""), label: token };
+  }
+  return { type: "keyword", value: token.toLowerCase(), label: token };
 }
 
-// ================= TWEET OPERATIONS =================
-
-// Check if this card shows a repost by the current user
-async function isUserRepost(card) {
-  try {
-    // Method 1: Check for unretweet button (green repost icon) - most reliable
-    const repostBtn = card.locator('[data-testid="unretweet"]');
-    const repostCount = await withTimeout(repostBtn.count(), 1500, 0);
-    if (repostCount > 0) {
-      console.log("[DEBUG] isUserRepost: found unretweet button in card");
-      return true;
-    }
+function parseContentRules(raw) {
+  if (!raw) return [];
+  const tokens = Array.isArray(raw) ? raw.flatMap(splitContentRules) : splitContentRules(String(raw));
+  return tokens.map(parseContentRule);
+}
 
-    // Method 2: Check for social context (repost indicator at top of card)
-    // Works across languages - any social context with repost icon suggests it's a repost
-    const socialContext = card.locator('[data-testid="socialContext"]');
-    const contextCount = await withTimeout(socialContext.count(), 1000, 0);
-    if (contextCount > 0) {
-      const contextText = await withTimeout(socialContext.first().innerText().catch(() => ""), 1000, "");
-      // Check multiple language patterns
-      const repostPatterns = [
-        'repost', 'retweet', 'republish',  // English
-        'repost', 'retuite',                // Spanish variants
-        'reposté', 'retweeté', 'republié',  // French
-        'retweetet', 'geteilt',             // German
-        'リツイート', 'リポスト',             // Japanese
-        '转推', '轉推'                       // Chinese
-      ];
-      const textLower = contextText.toLowerCase();
-      if (repostPatterns.some(p => textLower.includes(p))) {
-        console.log(`[DEBUG] isUserRepost: social context matches pattern: "${contextText}"`);
-        return true;
-      }
-      // Also check if social context has user's profile link (indicates "You reposted")
-      const userLink = socialContext.locator(`a[href="/${PROFILE_HANDLE}"]`);
-      if (await withTimeout(userLink.count(), 500, 0) > 0) {
-        console.log("[DEBUG] isUserRepost: social context has user's profile link");
-        return true;
-      }
-    }
+function hasContentFilters() {
+  return INCLUDE_RULES.length > 0 || EXCLUDE_RULES.length > 0;
+}
 
-    // Method 3: Check for repost icon SVG (the rotating arrows icon when highlighted)
-    const repostIcon = card.locator('[data-testid="unretweet"] svg, [data-testid="retweet"][style*="color"]');
-    const iconCount = await withTimeout(repostIcon.count(), 500, 0);
-    if (iconCount > 0) {
-      console.log("[DEBUG] isUserRepost: found repost icon");
-      return true;
+// Normalize text plus any link display strings into { text, hashtags, mentions, domains }
+function buildTweetContent(text, linkTexts = [], extra = {}) {
+  const hashtags = new Set((extra.hashtags || []).map(h => h.toLowerCase()));
+  const mentions = new Set((extra.mentions || []).map(m => m.toLowerCase()));
+  const domains = new Set((extra.domains || []).map(d => d.toLowerCase().replace(/^www\./, "")));
+
+  for (const m of text.matchAll(/#([\p{L}\p{N}_]+)/gu)) hashtags.add(m[1].toLowerCase());
+  for (const m of text.matchAll(/@(\w{1,15})/g)) mentions.add(m[1].toLowerCase());
+  // Link display texts are URLs by definition; plain text only counts explicit http(s) URLs
+  for (const linkText of linkTexts) {
+    for (const m of linkText.matchAll(/(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})(?=[\/?#:…]|\s|$)/gi)) {
+      domains.add(m[1].toLowerCase().replace(/^www\./, ""));
     }
+  }
+  for (const m of text.matchAll(/https?:\/\/((?:[a-z0-9-]+\.)+[a-z]{2,})/gi)) {
+    domains.add(m[1].toLowerCase().replace(/^www\./, ""));
+  }
+  return { text, hashtags: [...hashtags], mentions: [...mentions], domains: [...domains] };
+}
 
-    return false;
-  } catch (e) {
-    console.log(`[DEBUG] isUserRepost error: ${e?.message || e}`);
-    return false;
+function matchContentRule(rule, content) {
+  switch (rule.type) {
+    case "regex": return rule.value.test(content.text);
+    case "hashtag": return content.hashtags.includes(rule.value);
+    case "mention": return content.mentions.includes(rule.value);
+    case "domain": return content.domains.some(d => d === rule.value || d.endsWith(`.${rule.value}`));
+    default: return content.text.toLowerCase().includes(rule.value);
   }
 }
 
-async function isYours(page, card) {
-  // Check if tweet author is the user
-  const authorLink = await withTimeout(card.locator(`a[href="/${PROFILE_HANDLE}"]`).count(), 1500, 0);
-  if (authorLink > 0) return { yours: true, transient: false, reason: "author-link", isRetweet: false };
+// Exclude rules win over include rules; with no include rules every tweet passes
+function checkContentFilters(content) {
+  const excluded = EXCLUDE_RULES.find(rule => matchContentRule(rule, content));
+  if (excluded) return { decision: "exclude", rule: excluded.label };
+  if (INCLUDE_RULES.length === 0) return { decision: "pass", rule: null };
+  const included = INCLUDE_RULES.find(rule => matchContentRule(rule, content));
+  if (included) return { decision: "pass", rule: included.label };
+  return { decision: "no-include", rule: null };
+}
 
-  const userNameLink = await withTimeout(card.locator(`[data-testid="User-Name"] a[href="/${PROFILE_HANDLE}"]`).count(), 1500, 0);
-  if (userNameLink > 0) return { yours: true, transient: false, reason: "username-link", isRetweet: false };
+async function getTweetContent(card) {
+  const raw = await withTimeout(card.evaluate((el, { tweetText, linkCard }) => {
+    const textEl = el.querySelector(tweetText);
+    const links = [...el.querySelectorAll(`${tweetText} a[href^="https://t.co"], ${linkCard} a[href^="https://t.co"]`)];
+    return {
+      text: textEl ? textEl.innerText : "",
+      linkTexts: links.map(a => a.innerText || "")
+    };
+  }, { tweetText: sel("tweetText"), linkCard: sel("linkCard") }).catch(() => null), 2500, null);
+  if (!raw) return null;
+  return buildTweetContent(raw.text || "", raw.linkTexts || []);
+}
 
-  // Check if this is a repost by the user (for undoing reposts)
-  if (HANDLE_REPOSTS && await isUserRepost(card)) {
-    return { yours: true, transient: false, reason: "user-repost", isRetweet: true };
-  }
+// ================= MEDIA FILTERS =================
+// Each tweet is classified by what it carries; "text" means none of the others.
+// A quoted tweet's own media belongs to the quoted tweet, not the one quoting it.
+const MEDIA_TYPES = ["photo", "video", "gif", "poll", "link", "quote", "text"];
+const RE_STATUS_URL = /^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/\w+\/status\/\d+/i;
+
+function parseMediaFilter(raw) {
+  const values = Array.isArray(raw) ? raw : String(raw || "").split(/[\s,]+/);
+  const types = [...new Set(values.map(v => String(v).trim().toLowerCase()).filter(Boolean))];
+  const unknown = types.find(type => !MEDIA_TYPES.includes(type));
+  if (unknown) throw new Error(`Unknown media type "${unknown}" - use ${MEDIA_TYPES.join(", ")}`);
+  return types;
+}
 
-  // Last resort: check if menu has Delete option
-  const menuCheck = await menuHasDelete(page, card);
-  if (menuCheck.hasDelete) return { yours: true, transient: false, reason: "menu-delete", isRetweet: false };
-  if (menuCheck.transient) return { yours: false, transient: true, reason: menuCheck.reason, isRetweet: false };
-  return { yours: false, transient: false, reason: "not-yours", isRetweet: false };
+// From API or archive fields: attached media, the card X renders, the quote flag and (archive only) bare URLs
+function classifyTweetData({ media = [], cardName = "", quote = false, urls = [] }) {
+  const types = new Set();
+  for (const item of media) types.add(item.type === "animated_gif" ? "gif" : item.type === "video" ? "video" : "photo");
+  if (/^poll\d/.test(cardName)) types.add("poll");
+  else if (cardName) types.add("link");
+  for (const url of urls) types.add(RE_STATUS_URL.test(url) ? "quote" : "link");
+  if (quote) types.add("quote");
+  return types.size > 0 ? MEDIA_TYPES.filter(type => types.has(type)) : ["text"];
 }
 
-// Scroll to top of page
-async function scrollToTop(page) {
-  await page.evaluate(() => window.scrollTo(0, 0));
-  await page.waitForTimeout(300);
+// Same classification from the rendered card; null when it can't be read
+async function classifyCard(card) {
+  const types = await withTimeout(card.evaluate((el, s) => {
+    const own = selector => [...el.querySelectorAll(selector)].filter(node => !el.contains(node.closest(s.quotedTweet)));
+    const found = [];
+    if (own(s.photo).some(node => !node.querySelector(s.video))) found.push("photo");
+    if (own(s.video).some(node => !node.querySelector(s.gif))) found.push("video");
+    if (own(s.gif).length > 0) found.push("gif");
+    if (own(s.poll).length > 0) found.push("poll");
+    if (own(s.linkCard).some(node => !node.querySelector(s.poll))) found.push("link");
+    if (el.querySelector(s.quotedTweet)) found.push("quote");
+    return found;
+  }, {
+    photo: sel("photo"), video: sel("video"), gif: sel("gif"), poll: sel("poll"),
+    linkCard: sel("linkCard"), quotedTweet: sel("quotedTweet")
+  }).catch(() => null), 2000, null);
+  if (!types) return null;
+  return types.length > 0 ? types : ["text"];
 }
 
-async function statusKey(card) {
-  const h = await withTimeout(
-    card.locator('a[href*="/status/"]').first().getAttribute("href").catch(() => null),
-    2000, null
-  );
-  if (!h) return null;
-  try { return new URL(h, "https://x.com").pathname; } catch { return h; }
+// With no filter every tweet passes; otherwise any selected type is enough
+function matchesMediaFilter(types) {
+  return MEDIA_FILTER.length === 0 || types.some(type => MEDIA_FILTER.includes(type));
 }
 
-async function openMenu(page, card) {
-  // IMPORTANT: Only target the caret/more button, NOT repost/like/reply buttons
-  // The caret button has data-testid="caret" - be specific to avoid clicking repost button
-  const more = card.locator([
-    'button[data-testid="caret"]',
-    'div[data-testid="caret"]'
-  ].join(", "));
-  if (!(await more.count())) return false;
-  await more.first().click({ delay: 10, timeout: 5000 }).catch(() => {});
-  await page.waitForTimeout(220);
-  return true;
+function describeMedia(types) {
+  return types ? ` [${types.join("+")}]` : "";
 }
 
-async function menuHasDelete(page, card) {
-  if (!(await openMenu(page, card))) {
-    return { hasDelete: false, transient: true, reason: "no-menu" };
-  }
-  const items = page.locator('div[role="menuitem"], a[role="menuitem"], button[role="menuitem"]');
-  const n = await withTimeout(items.count(), 3000, 0);
-  if (n === 0) {
-    await page.keyboard.press("Escape").catch(() => {});
-    return { hasDelete: false, transient: true, reason: "menu-empty" };
-  }
-  let has = false;
-  for (let i = 0; i < n && i < 10; i++) { // Limit loop iterations
-    const t = ((await withTimeout(items.nth(i).innerText().catch(() => ""), 1000, "")) || "").trim();
-    if (RE_DELETE.test(t)) { has = true; break; }
+// ================= ENGAGEMENT PROTECTION =================
+// Action bar buttons carry counts in their aria-label, e.g. "1,204 Likes. Like"
+// Getters so a selector pack loaded after startup is picked up
+const ENGAGEMENT_SELECTORS = {
+  get replies() { return sel("reply"); },
+  get reposts() { return `${sel("retweet")}, ${sel("unretweet")}`; },
+  get likes() { return `${sel("like")}, ${sel("unlike")}`; },
+  get views() { return sel("views"); }
+};
+
+function parseEngagementThresholds(raw = {}) {
+  const thresholds = {};
+  for (const metric of Object.keys(ENGAGEMENT_SELECTORS)) {
+    const n = parseInt(raw[metric] ?? "0", 10);
+    thresholds[metric] = Number.isFinite(n) && n > 0 ? n : 0;
   }
-  await page.keyboard.press("Escape").catch(() => {});
-  if (has) return { hasDelete: true, transient: false, reason: "delete-item-found" };
-  return { hasDelete: false, transient: false, reason: "no-delete-item" };
+  return thresholds;
 }
 
-async function confirmDeleteIfNeeded(page) {
-  const btn = page.locator([
-    'div[data-testid="confirmationSheetConfirm"]',
-    'button[data-testid="confirmationSheetConfirm"]',
-    'button:has-text("Delete")',
-    'div[role="button"]:has-text("Delete")'
-  ].join(", ")).first();
-  const count = await withTimeout(btn.count(), 2000, 0);
-  if (count > 0) await btn.click({ delay: 10, timeout: 5000 }).catch(() => {});
+function hasEngagementThresholds() {
+  return Object.values(ENGAGEMENT_THRESHOLDS).some(n => n > 0);
 }
 
-async function tryDelete(page, card) {
-  if (!(await openMenu(page, card))) return { ok: false, reason: "no-menu" };
+// Handles "1,204", "1.204", "1.2K" and "3M"; a label without a number means zero
+function parseEngagementCount(label) {
+  if (!label) return 0;
+  const m = label.match(/(\d(?:[\d.,\s]*\d)?)\s?([KkMm])?(?![A-Za-z])/);
+  if (!m) return 0;
+  if (m[2]) {
+    const multiplier = /k/i.test(m[2]) ? 1e3 : 1e6;
+    return Math.round(parseFloat(m[1].replace(/\s/g, "").replace(",", ".")) * multiplier);
+  }
+  return parseInt(m[1].replace(/\D/g, ""), 10) || 0;
+}
 
-  // Try to find and click Delete
-  const items = page.locator('div[role="menuitem"], a[role="menuitem"], button[role="menuitem"]');
-  const n = await withTimeout(items.count(), 2000, 0);
+// Returns { replies, reposts, likes, views } or null when the card has no action bar yet
+async function getEngagementCounts(card) {
+  const labels = await withTimeout(card.evaluate((el, selectors) => {
+    const out = {};
+    for (const [metric, selector] of Object.entries(selectors)) {
+      const btn = el.querySelector(selector);
+      out[metric] = btn ? (btn.getAttribute("aria-label") || btn.innerText || "") : null;
+    }
+    return out;
+  }, ENGAGEMENT_SELECTORS).catch(() => null), 2000, null);
+
+  if (!labels || (labels.replies === null && labels.reposts === null && labels.likes === null)) return null;
+
+  const counts = {};
+  for (const metric of Object.keys(ENGAGEMENT_SELECTORS)) {
+    counts[metric] = parseEngagementCount(labels[metric]);  // Old tweets have no view count
+  }
+  return counts;
+}
+
+// First metric above its threshold, e.g. "1204 likes > 500"
+function engagementProtectReason(counts) {
+  for (const [metric, threshold] of Object.entries(ENGAGEMENT_THRESHOLDS)) {
+    if (threshold > 0 && (counts[metric] || 0) > threshold) {
+      return `${counts[metric]} ${metric} > ${threshold}`;
+    }
+  }
+  return null;
+}
+
+// ================= DRY RUN REPORT =================
+let dryRunReport = null;  // { path, counts } while a dry run is active
+
+function startDryRunReport() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const reportPath = path.resolve(getDataDir(), `dry_run_${PROFILE_HANDLE}_${stamp}.jsonl`);
+  fs.writeFileSync(reportPath, "");
+  dryRunReport = { path: reportPath, counts: {} };
+  log("warn", chalk.yellow("DRY RUN - nothing will be deleted or un-reposted"));
+  log("info", `Writing candidate report to ${reportPath}`);
+}
+
+// One JSON line per decided card: what the real run would have done with it
+function recordCandidate({ key, quotedId = null, date = null, preview = "", tab, isRetweet = false, media = null, decision }) {
+  if (!dryRunReport) return;
+  dryRunReport.counts[decision] = (dryRunReport.counts[decision] || 0) + 1;
+  const entry = { key, quotedId, date: date ? date.toISOString() : null, preview, tab, isRetweet, media, decision };
+  try {
+    fs.appendFileSync(dryRunReport.path, JSON.stringify(entry) + "\n");
+  } catch {}
+}
+
+function finishDryRunReport() {
+  if (!dryRunReport) return;
+  const summary = Object.entries(dryRunReport.counts)
+    .map(([decision, count]) => `${count} ${decision}`)
+    .join(", ");
+  log("success", `Dry run report saved: ${dryRunReport.path}`, summary ? `(${summary})` : "(no candidates)");
+  dryRunReport = null;
+}
+
+// ================= DECISION LEDGER =================
+// Every keep/skip/remove decision goes to the SQLite ledger (and the dry-run report when active)
+let ledgerDb = null;
+let ledgerRunId = null;
+
+function startLedgerRun() {
+  try {
+    ledgerDb = ledger.openLedger(getDataDir());
+    ledgerRunId = ledger.startRun(ledgerDb, {
+      handle: PROFILE_HANDLE,
+      dryRun: DRY_RUN,
+      source: ARCHIVE_PATH ? "archive" : "timeline"
+    });
+  } catch (err) {
+    ledgerDb = null;
+    ledgerRunId = null;
+    log("warn", `Deletion ledger unavailable, continuing without it: ${err.message}`);
+  }
+}
+
+function finishLedgerRun() {
+  if (!ledgerDb) return;
+  try {
+    ledger.finishRun(ledgerDb, ledgerRunId);
+    ledgerDb.close();
+  } catch {}
+  ledgerDb = null;
+  ledgerRunId = null;
+}
+
+// Keep decisions come from settings (dates, filters, protection); anything else not acted on is a skip
+function ledgerAction(decision) {
+  if (ledger.REMOVAL_ACTIONS.includes(decision)) return decision;
+  if (decision.startsWith("protect") || ["too-old", "not-included", "other-author", "other-reply-target", "other-repost-author", "other-media", "excluded-type"].includes(decision)) return "keep";
+  return "skip";
+}
+
+// `result` is the action outcome (e.g. "deleted", "no-delete-item"); `removed` marks a real removal
+function recordDecision(entry) {
+  recordCandidate(entry);
+  noteCheckpointDecision(entry);
+  if (!ledgerDb) return;
+  const { key, date = null, preview = "", tab, media = null, decision, result, removed = false } = entry;
+  try {
+    ledger.recordDecision(ledgerDb, ledgerRunId, {
+      handle: PROFILE_HANDLE,
+      key,
+      date,
+      preview,
+      tab,
+      media: media ? media.join("+") : null,
+      action: ledgerAction(decision),
+      reason: result || decision,
+      removed
+    });
+  } catch (err) {
+    log("warn", `Could not write to ledger: ${err.message}`);
+  }
+}
+
+// ================= TWEET BACKUP =================
+// Full content of each tweet is saved before it is deleted or un-reposted, so nothing
+// removed is ever only a 40-character log preview.
+function getBackupDir(handle) {
+  return path.resolve(getDataDir(), "backups", handle);
+}
+
+async function captureTweetBackup(card) {
+  return withTimeout(card.evaluate((el, { tweetText, userName }) => {
+    const texts = [...el.querySelectorAll(tweetText)];
+    const names = [...el.querySelectorAll(userName)];
+    const media = new Set();
+    for (const img of el.querySelectorAll('img[src*="pbs.twimg.com/media"], img[src*="pbs.twimg.com/ext_tw_video_thumb"]')) {
+      media.add(img.src);
+    }
+    for (const video of el.querySelectorAll("video")) {
+      if (video.src && !video.src.startsWith("blob:")) media.add(video.src);
+      if (video.poster) media.add(video.poster);
+    }
+    // A quoted tweet renders its own User-Name and tweetText inside the card
+    const quoted = texts.length > 1 || names.length > 1
+      ? { author: names[1] ? names[1].innerText.replace(/\n/g, " ") : null, text: texts[1] ? texts[1].innerText : null }
+      : null;
+    return {
+      author: names[0] ? names[0].innerText.replace(/\n/g, " ") : null,
+      text: texts[0] ? texts[0].innerText : "",
+      quoted,
+      media: [...media]
+    };
+  }, { tweetText: sel("tweetText"), userName: sel("userName") }).catch(() => null), 3000, null);
+}
+
+// Returns false when the backup could not be written - the caller must not delete then
+let backedUpKeys = new Set();  // Status keys already written this run, so retried deletions aren't backed up twice
+
+async function backupTweet(card, candidate, isRetweet) {
+  if (!BACKUP) return true;
+  if (candidate.key && backedUpKeys.has(candidate.key)) return true;
+  try {
+    const captured = await captureTweetBackup(card);
+    if (!captured) return false;
+    const engagement = await getEngagementCounts(card);
+    const backupDir = getBackupDir(PROFILE_HANDLE);
+    fs.mkdirSync(backupDir, { recursive: true });
+
+    const statusId = parseStatusId(candidate.key);
+    let screenshot = null;
+    if (BACKUP_SCREENSHOTS && statusId) {
+      const screenshotPath = path.join(backupDir, "screenshots", `${statusId}.png`);
+      fs.mkdirSync(path.dirname(screenshotPath), { recursive: true });
+      const shot = await withTimeout(card.screenshot({ path: screenshotPath, timeout: 5000 }).then(() => true).catch(() => false), 6000, false);
+      if (shot) screenshot = path.relative(backupDir, screenshotPath);
+    }
+
+    const entry = {
+      id: statusId,
+      url: candidate.key ? `https://x.com${candidate.key}` : null,
+      quotedId: candidate.quotedId || null,
+      date: candidate.date ? candidate.date.toISOString() : null,
+      tab: candidate.tab,
+      isRetweet,
+      media: candidate.media || null,
+      ...captured,
+      engagement,
+      screenshot,
+      backedUpAt: new Date().toISOString()
+    };
+
+    // One write of a whole line, flushed to disk before the delete happens
+    const fd = fs.openSync(path.join(backupDir, "tweets.jsonl"), "a");
+    try {
+      fs.writeSync(fd, JSON.stringify(entry) + "\n");
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (candidate.key) backedUpKeys.add(candidate.key);
+    return true;
+  } catch (err) {
+    log("warn", `Backup failed: ${err.message}`);
+    return false;
+  }
+}
+
+// ================= RESUME CHECKPOINTS =================
+// Per-handle record of the status keys each tab has already decided, so a stopped,
+// crashed or rebooted run skips them instead of re-reading every kept tweet.
+// A tab's entry is dropped once the tab has been walked to the end.
+let checkpoint = null;  // { path, fingerprint, tabs, decided } while checkpointing is active
+
+// Only settled outcomes carry over; unreadable dates, failed actions and the like are tried again next run
+const RESUMABLE_DECISIONS = new Set([
+  "protect", "too-old", "protect-pinned", "protect-list", "protect-latest", "protect-content",
+  "protect-engagement", "protect-reply-target", "protect-repost-author", "not-included",
+  "other-author", "other-media", "other-reply-target", "other-repost-author", "excluded-type", "not-yours"
+]);
+
+function getCheckpointPath(handle) {
+  return path.resolve(getDataDir(), `checkpoint_${handle}.json`);
+}
+
+// Decisions only carry over while the settings that produced them are unchanged
+function checkpointFingerprint() {
+  return JSON.stringify({
+    deleteBefore: DELETE_BEFORE ? DELETE_BEFORE.toISOString() : null,
+    protectAfter: PROTECT_AFTER ? PROTECT_AFTER.toISOString() : null,
+    posts: INCLUDE_POSTS,
+    replies: INCLUDE_REPLIES,
+    quotes: INCLUDE_QUOTES,
+    reposts: HANDLE_REPOSTS,
+    include: INCLUDE_RULES.map(rule => rule.label),
+    exclude: EXCLUDE_RULES.map(rule => rule.label),
+    media: MEDIA_FILTER,
+    engagement: ENGAGEMENT_THRESHOLDS,
+    protectedIds: [...PROTECTED_IDS].sort(),
+    likesDateFilter: LIKES_DATE_FILTER,
+    bookmarksDateFilter: BOOKMARKS_DATE_FILTER,
+    bookmarkAuthors: BOOKMARK_AUTHORS,
+    repliesTo: REPLIES_TO,
+    protectRepliesTo: PROTECT_REPLIES_TO,
+    repostsOf: REPOSTS_OF,
+    keepRepostsOf: KEEP_REPOSTS_OF,
+    keepLatest: KEEP_LATEST
+  });
+}
+
+function loadCheckpoint() {
+  const checkpointPath = getCheckpointPath(PROFILE_HANDLE);
+  const fingerprint = checkpointFingerprint();
+  checkpoint = { path: checkpointPath, fingerprint, tabs: {}, decided: {} };
+  if (!RESUME || !fs.existsSync(checkpointPath)) return;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(checkpointPath, "utf8"));
+    if (data.fingerprint !== fingerprint) {
+      log("info", "Settings changed since the last checkpoint - starting fresh");
+      return;
+    }
+    checkpoint.tabs = data.tabs || {};
+  } catch (err) {
+    log("warn", `Checkpoint unreadable, starting fresh: ${err.message}`);
+  }
+}
+
+// key -> decision for one tab, seeded from the checkpoint file the first time the tab is visited
+function tabDecisions(tabName) {
+  if (!checkpoint.decided[tabName]) {
+    checkpoint.decided[tabName] = new Map(Object.entries(checkpoint.tabs[tabName]?.decided || {}));
+  }
+  return checkpoint.decided[tabName];
+}
+
+function noteCheckpointDecision({ key, tab, decision, removed }) {
+  if (!checkpoint || !key || !tab) return;
+  tabDecisions(tab).set(key, removed ? "removed" : decision);
+}
+
+function resumableKeys(tabName) {
+  if (!checkpoint) return [];
+  return [...tabDecisions(tabName)]
+    .filter(([, decision]) => decision === "removed" || RESUMABLE_DECISIONS.has(decision))
+    .map(([key]) => key);
+}
+
+// Fresh seen/retry state for a tab, pre-filled from the checkpoint when resuming
+function restoreTabCheckpoint(tabName) {
+  const saved = checkpoint?.tabs[tabName];
+  const state = {
+    seen: new Set(resumableKeys(tabName)),
+    retryState: new Map(Object.entries(saved?.retry || {})),
+    removed: saved?.removed || 0,
+    sweeps: saved?.sweeps || 0
+  };
+  LATEST_KEPT.set(tabName, new Set(saved?.latest || []));
+  if (state.seen.size > 0) {
+    log("info", `Resuming ${tabName}: ${state.seen.size} tweets already decided, ${state.removed} removed in earlier runs`);
+  }
+  return state;
+}
+
+// Only keys with a settled decision are written, so picked-but-pending keys stay undecided
+function saveTabCheckpoint(tabName, { retryState, removed, sweeps }) {
+  if (!checkpoint) return;
+  const decided = tabDecisions(tabName);
+  checkpoint.tabs[tabName] = {
+    decided: Object.fromEntries(resumableKeys(tabName).map(key => [key, decided.get(key)])),
+    retry: Object.fromEntries(retryState),
+    removed,
+    sweeps,
+    latest: [...(LATEST_KEPT.get(tabName) || [])],
+    updatedAt: new Date().toISOString()
+  };
+  writeCheckpoint();
+}
+
+// The tab was walked to the end: the next run starts it from the top again
+function clearTabCheckpoint(tabName) {
+  if (!checkpoint || !checkpoint.tabs[tabName]) return;
+  delete checkpoint.tabs[tabName];
+  delete checkpoint.decided[tabName];
+  writeCheckpoint();
+}
+
+function writeCheckpoint() {
+  const data = { handle: PROFILE_HANDLE, fingerprint: checkpoint.fingerprint, tabs: checkpoint.tabs };
+  try {
+    // Write-then-rename so a crash mid-write never leaves a truncated checkpoint
+    const tmpPath = `${checkpoint.path}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, checkpoint.path);
+  } catch (err) {
+    log("warn", `Could not save checkpoint: ${err.message}`);
+  }
+}
+
+// ================= TWEET OPERATIONS =================
+
+// Check if this card shows a repost by the current user
+async function isUserRepost(card) {
+  try {
+    // Method 1: Check for unretweet button (green repost icon) - most reliable
+    const repostBtn = card.locator(sel("unretweet"));
+    const repostCount = await withTimeout(repostBtn.count(), 1500, 0);
+    if (repostCount > 0) {
+      console.log("[DEBUG] isUserRepost: found unretweet button in card");
+      return true;
+    }
+
+    // Method 2: Check for social context (repost indicator at top of card)
+    // "You reposted" in the detected display language (see locales.json)
+    const socialContext = card.locator(sel("socialContext"));
+    const contextCount = await withTimeout(socialContext.count(), 1000, 0);
+    if (contextCount > 0) {
+      const contextText = await withTimeout(socialContext.first().innerText().catch(() => ""), 1000, "");
+      if (RE_REPOSTED.test(contextText || "")) {
+        console.log(`[DEBUG] isUserRepost: social context matches pattern: "${contextText}"`);
+        return true;
+      }
+      // Also check if social context has user's profile link (indicates "You reposted")
+      const userLink = socialContext.locator(`a[href="/${PROFILE_HANDLE}"]`);
+      if (await withTimeout(userLink.count(), 500, 0) > 0) {
+        console.log("[DEBUG] isUserRepost: social context has user's profile link");
+        return true;
+      }
+    }
+
+    // Method 3: Check for repost icon SVG (the rotating arrows icon when highlighted)
+    const repostIcon = card.locator(`${selWith("unretweet", " svg")}, ${selWith("retweet", '[style*="color"]')}`);
+    const iconCount = await withTimeout(repostIcon.count(), 500, 0);
+    if (iconCount > 0) {
+      console.log("[DEBUG] isUserRepost: found repost icon");
+      return true;
+    }
+
+    return false;
+  } catch (e) {
+    console.log(`[DEBUG] isUserRepost error: ${e?.message || e}`);
+    return false;
+  }
+}
+
+// Pinned tweets carry a "Pinned" social context at the top of the profile timeline
+async function isPinnedCard(card) {
+  const socialContext = card.locator(sel("socialContext"));
+  if (await withTimeout(socialContext.count(), 800, 0) === 0) return false;
+  const text = await withTimeout(socialContext.first().innerText().catch(() => ""), 800, "");
+  return RE_PINNED.test(text || "");
+}
+
+// Handles a reply answers. X's API names the direct parent's author; the card's "Replying to @…"
+// line (above the text, outside the author header and any quoted tweet) can list several.
+// [] = confirmed not a reply (only X's API can say so), null = unknown. A card without the line is
+// unknown, not top-level: a reply drawn as a thread under its parent has no such line either, and
+// the never-delete list has to fail closed.
+async function getReplyTargets(card, indexed) {
+  if (indexed && indexed.replyTo !== undefined) return indexed.replyTo ? [indexed.replyTo] : [];
+  const handles = await withTimeout(card.evaluate((el, { userName, tweetText, quotedTweet }) => {
+    const text = el.querySelector(tweetText);
+    const within = (a, selector) => el.contains(a.closest(selector));
+    return [...el.querySelectorAll('a[href^="/"]')]
+      .filter(a => /^@\w{1,15}$/.test((a.innerText || "").trim()))
+      .filter(a => !within(a, userName) && !within(a, tweetText) && !within(a, quotedTweet))
+      .filter(a => !text || (a.compareDocumentPosition(text) & Node.DOCUMENT_POSITION_FOLLOWING))
+      .map(a => a.innerText.trim().slice(1).toLowerCase());
+  }, { userName: sel("userName"), tweetText: sel("tweetText"), quotedTweet: sel("quotedTweet") }).catch(() => null), 1500, null);
+  return handles && handles.length > 0 ? [...new Set(handles)] : null;
+}
+
+function hasReplyTargetFilters() {
+  return REPLIES_TO.length > 0 || PROTECT_REPLIES_TO.length > 0;
+}
+
+// The `never` list wins; with an empty `only` list every other tweet passes.
+// With `only` set, tweets that name nobody on it (or nobody at all) are kept.
+function checkHandleLists(handles, only, never) {
+  const kept = handles.find(handle => never.includes(handle));
+  if (kept) return { decision: "protect", handle: kept };
+  if (only.length === 0) return { decision: "pass", handle: null };
+  const wanted = handles.find(handle => only.includes(handle));
+  if (wanted) return { decision: "pass", handle: wanted };
+  return { decision: "other-target", handle: handles[0] || null };
+}
+
+function checkReplyTargets(targets) {
+  return checkHandleLists(targets, REPLIES_TO, PROTECT_REPLIES_TO);
+}
+
+// Original author of a repost card: the first profile link in its User-Name header
+// ("You reposted" sits above it, a quoted tweet's header comes after it)
+async function getCardAuthor(card) {
+  const href = await withTimeout(
+    card.locator(selWith("userName", ' a[href^="/"]')).first().getAttribute("href").catch(() => null),
+    1500, null
+  );
+  return normalizeHandle(String(href || "").split("/")[1] || "");
+}
+
+function hasRepostAuthorFilters() {
+  return REPOSTS_OF.length > 0 || KEEP_REPOSTS_OF.length > 0;
+}
+
+// Whether a repost may be undone, logging why not. The card header decides; X's API data and
+// the status link only stand in when the header can't be read.
+async function repostAuthorAllowed(card, indexed, key, candidate) {
+  if (!hasRepostAuthorFilters()) return true;
+  const author = await getCardAuthor(card) || indexed?.author || authorFromKey(key);
+  const label = candidate.date ? formatDate(candidate.date) : "Repost";
+  if (!author) {
+    log("warn", `Repost author not readable, skipping`, `"${candidate.preview}"`);
+    recordDecision({ ...candidate, decision: "unknown-repost-author" });
+    return false;
+  }
+  const check = checkHandleLists([author], REPOSTS_OF, KEEP_REPOSTS_OF);
+  if (check.decision === "protect") {
+    log("protect", chalk.green(`${label} Protected (repost of @${author})`), chalk.gray(`"${candidate.preview}"`));
+    recordDecision({ ...candidate, decision: "protect-repost-author" });
+    return false;
+  }
+  if (check.decision === "other-target") {
+    log("skip", chalk.gray(`${label} Filtered out, kept (repost of @${author})`), chalk.gray(`"${candidate.preview}"`));
+    recordDecision({ ...candidate, decision: "other-repost-author" });
+    return false;
+  }
+  log("info", REPOSTS_OF.length > 0 ? `Repost of @${author} is on the undo list` : `Repost of @${author} is not on the keep list`);
+  return true;
+}
+
+// Why a status must never be touched, or null
+function protectedStatusReason(statusId) {
+  if (!statusId) return null;
+  if (PINNED_IDS.has(statusId)) return "pinned";
+  if (PROTECTED_IDS.has(statusId)) return "protect list";
+  return null;
+}
+
+async function isYours(page, card) {
+  // Check if tweet author is the user
+  const authorLink = await withTimeout(card.locator(`a[href="/${PROFILE_HANDLE}"]`).count(), 1500, 0);
+  if (authorLink > 0) return { yours: true, transient: false, reason: "author-link", isRetweet: false };
+
+  const userNameLink = await withTimeout(card.locator(selWith("userName", ` a[href="/${PROFILE_HANDLE}"]`)).count(), 1500, 0);
+  if (userNameLink > 0) return { yours: true, transient: false, reason: "username-link", isRetweet: false };
+
+  // Check if this is a repost by the user (for undoing reposts)
+  if (HANDLE_REPOSTS && await isUserRepost(card)) {
+    return { yours: true, transient: false, reason: "user-repost", isRetweet: true };
+  }
+
+  // Last resort: check if menu has Delete option
+  const menuCheck = await menuHasDelete(page, card);
+  if (menuCheck.hasDelete) return { yours: true, transient: false, reason: "menu-delete", isRetweet: false };
+  if (menuCheck.transient) return { yours: false, transient: true, reason: menuCheck.reason, isRetweet: false };
+  return { yours: false, transient: false, reason: "not-yours", isRetweet: false };
+}
+
+// Scroll to top of page
+async function scrollToTop(page) {
+  await page.evaluate(() => window.scrollTo(0, 0));
+  await page.waitForTimeout(300);
+}
+
+// "/handle/status/123" from any status link, dropping /photo/1, /video/1, /analytics and similar suffixes
+function normalizeStatusPath(href) {
+  if (!href) return null;
+  let pathname;
+  try { pathname = new URL(href, "https://x.com").pathname; } catch { pathname = String(href); }
+  const m = pathname.match(/^\/([^/]+)\/status(?:es)?\/(\d+)/);
+  return m ? `/${m[1]}/status/${m[2]}` : null;
+}
+
+// A card's first status link can belong to the tweet it quotes, or be a media link, so its own
+// permalink is the timestamp link outside the quoted tweet. The quoted ID comes from the embed
+// when it links out, otherwise from X's API data.
+async function statusIds(card) {
+  const found = await withTimeout(card.evaluate((el, quotedTweet) => {
+    const quote = el.querySelector(quotedTweet);
+    const links = [...el.querySelectorAll('a[href*="/status/"]')];
+    const outer = links.filter(a => !quote || !quote.contains(a));
+    const own = outer.find(a => a.querySelector("time")) || outer[0];
+    const quoted = quote ? links.find(a => quote.contains(a)) : null;
+    return { own: own ? own.getAttribute("href") : null, quoted: quoted ? quoted.getAttribute("href") : null, hasQuote: Boolean(quote) };
+  }, sel("quotedTweet")).catch(() => null), 2000, null);
+  const key = normalizeStatusPath(found?.own);
+  if (!key) return null;
+  const id = parseStatusId(key);
+  const indexed = timelineIndex.tweets.get(id);
+  const quotedId = parseStatusId(normalizeStatusPath(found.quoted)) || indexed?.quotedId || null;
+  return { key, id, quotedId, isQuote: found.hasQuote || Boolean(quotedId) || Boolean(indexed?.isQuote) };
+}
+
+async function statusKey(card) {
+  return (await statusIds(card))?.key || null;
+}
+
+async function openMenu(page, card) {
+  // IMPORTANT: Only target the caret/more button, NOT repost/like/reply buttons
+  // The caret button has data-testid="caret" - be specific to avoid clicking repost button
+  const more = card.locator(sel("caret"));
+  if (!(await more.count())) return false;
+  await more.first().click({ delay: 10, timeout: 5000 }).catch(() => {});
+  await page.waitForTimeout(220);
+  return true;
+}
+
+async function menuHasDelete(page, card) {
+  if (!(await openMenu(page, card))) {
+    return { hasDelete: false, transient: true, reason: "no-menu" };
+  }
+  const items = page.locator(sel("menuItem"));
+  const n = await withTimeout(items.count(), 3000, 0);
+  if (n === 0) {
+    await page.keyboard.press("Escape").catch(() => {});
+    return { hasDelete: false, transient: true, reason: "menu-empty" };
+  }
+  let has = false;
+  for (let i = 0; i < n && i < 10; i++) { // Limit loop iterations
+    const t = ((await withTimeout(items.nth(i).innerText().catch(() => ""), 1000, "")) || "").trim();
+    if (RE_DELETE.test(t)) { has = true; break; }
+  }
+  await page.keyboard.press("Escape").catch(() => {});
+  if (has) return { hasDelete: true, transient: false, reason: "delete-item-found" };
+  return { hasDelete: false, transient: false, reason: "no-delete-item" };
+}
+
+async function confirmDeleteIfNeeded(page) {
+  const btn = page.locator(sel("deleteConfirm")).first();
+  const count = await withTimeout(btn.count(), 2000, 0);
+  if (count > 0) await btn.click({ delay: 10, timeout: 5000 }).catch(() => {});
+}
+
+async function tryDelete(page, card) {
+  if (!(await openMenu(page, card))) return { ok: false, reason: "no-menu" };
+
+  // Try to find and click Delete
+  const items = page.locator(sel("menuItem"));
+  const n = await withTimeout(items.count(), 2000, 0);
 
   if (n === 0) {
     await page.keyboard.press("Escape").catch(() => {});
@@ -1236,13 +2292,275 @@ async function tryDelete(page, card) {
   return { ok: false, reason: "no-delete-item" };
 }
 
+// ================= ADAPTIVE SPEED =================
+// Starts from the chosen preset, widens the delays when recent checks keep failing (retryable
+// action failures, unknown dates, empty menus) and narrows them again while things run smoothly.
+const ADAPTIVE_WINDOW = 20;  // Recent outcomes considered
+const ADAPTIVE_EVERY = 10;  // Re-evaluate after this many new outcomes
+const ADAPTIVE_MIN_FACTOR = 0.6;
+const ADAPTIVE_MAX_FACTOR = 4;
+let speedState = { baseMin: MIN_DELAY_MS, baseMax: MAX_DELAY_MS, factor: 1, outcomes: [], sinceAdjust: 0 };
+
+function resetSpeedController() {
+  speedState = { baseMin: MIN_DELAY_MS, baseMax: MAX_DELAY_MS, factor: 1, outcomes: [], sinceAdjust: 0 };
+  emitEvent("speed", { min: MIN_DELAY_MS, max: MAX_DELAY_MS });
+}
+
+function describeDelay() {
+  return `${(MIN_DELAY_MS / 1000).toFixed(1)}-${(MAX_DELAY_MS / 1000).toFixed(1)}s`;
+}
+
+function applySpeedFactor(factor) {
+  speedState.factor = Math.min(ADAPTIVE_MAX_FACTOR, Math.max(ADAPTIVE_MIN_FACTOR, factor));
+  // Speeding up never goes below the aggressive preset (or a lower custom base)
+  const floorMin = Math.min(speedState.baseMin, SPEED_PRESETS.aggressive.min);
+  const floorMax = Math.min(speedState.baseMax, SPEED_PRESETS.aggressive.max);
+  MIN_DELAY_MS = Math.max(floorMin, Math.round(speedState.baseMin * speedState.factor));
+  MAX_DELAY_MS = Math.max(floorMax, MIN_DELAY_MS, Math.round(speedState.baseMax * speedState.factor));
+  emitEvent("speed", { min: MIN_DELAY_MS, max: MAX_DELAY_MS });
+}
+
+// trouble = true for a failed check, false for a clean action
+function noteSpeedOutcome(trouble) {
+  if (!ADAPTIVE_SPEED) return;
+  speedState.outcomes.push(trouble);
+  if (speedState.outcomes.length > ADAPTIVE_WINDOW) speedState.outcomes.shift();
+  if (++speedState.sinceAdjust < ADAPTIVE_EVERY) return;
+  speedState.sinceAdjust = 0;
+
+  const failRate = speedState.outcomes.filter(Boolean).length / speedState.outcomes.length;
+  const before = speedState.factor;
+  if (failRate >= 0.3) applySpeedFactor(before * 1.5);
+  else if (failRate <= 0.05) applySpeedFactor(before / 1.2);
+  if (speedState.factor !== before) {
+    log("info", `${speedState.factor > before ? "Slowing down" : "Speeding up"}: ${Math.round(failRate * 100)}% of recent checks failed, delays now ${describeDelay()}`);
+  }
+}
+
+// ================= RATE LIMIT BACKOFF =================
+// X signals throttling with error toasts and HTTP 429s. Each consecutive hit doubles the pause;
+// once the next pause would pass RATE_LIMIT_CEILING_MIN the run stops instead of clicking on.
+const BACKOFF_BASE_MS = 60 * 1000;
+// Only the timelines being read and the removal calls count; a 429 on an unrelated background request says nothing about them
+const RE_THROTTLE_WATCHED = /\/graphql\/[^/]+\/(UserTweets|UserTweetsAndReplies|SearchTimeline|Likes|Bookmarks|DeleteTweet|UnfavoriteTweet|DeleteRetweet|DeleteBookmark)(\?|$)/;
+let rateLimit = { pending: null, consecutive: 0, stopped: false };
+
+function parseRateLimitCeiling(value) {
+  const n = parseFloat(value ?? "30");
+  return Number.isFinite(n) && n >= 0 ? n : 30;
+}
+
+// Covers the status probes opened in the same context as well
+function watchRateLimits(context) {
+  rateLimit = { pending: null, consecutive: 0, stopped: false };
+  context.on("response", (response) => {
+    if (response.status() !== 429 || rateLimit.pending || !RE_THROTTLE_WATCHED.test(response.url())) return;
+    let where = response.url();
+    try { where = new URL(where).pathname; } catch {}
+    rateLimit.pending = `HTTP 429 on ${where}`;
+  });
+}
+
+async function rateLimitToast(page) {
+  const alerts = page.locator(sel("toast"));
+  const n = await withTimeout(alerts.count(), 1000, 0);
+  for (let i = 0; i < n && i < 3; i++) {
+    const text = (await withTimeout(alerts.nth(i).innerText().catch(() => ""), 800, "")) || "";
+    if (RE_RATE_LIMIT.test(text)) return text.split("\n")[0].trim();
+  }
+  return null;
+}
+
+// Pauses while X is throttling. Returns true if it paused (or stopped the run),
+// so the caller retries what it was doing instead of recording a failure.
+async function backOffIfRateLimited(page) {
+  const reason = rateLimit.pending || await rateLimitToast(page);
+  rateLimit.pending = null;
+  if (!reason) return false;
+
+  rateLimit.consecutive++;
+  const waitMs = BACKOFF_BASE_MS * 2 ** (rateLimit.consecutive - 1);
+  if (waitMs > RATE_LIMIT_CEILING_MIN * 60 * 1000) {
+    log("error", `Still rate limited after ${rateLimit.consecutive - 1} backoff(s) (${reason}) - stopping the run`);
+    emitEvent("backoff", { until: null, stopped: true, reason });
+    rateLimit.stopped = true;
+    abortCleanup();
+    return true;
+  }
+
+  if (ADAPTIVE_SPEED) applySpeedFactor(speedState.factor * 2);
+  const until = Date.now() + waitMs;
+  log("warn", `Rate limited by X (${reason}) - pausing ${Math.round(waitMs / 60000)} min until ${new Date(until).toLocaleTimeString()} (backoff ${rateLimit.consecutive})`);
+  emitEvent("backoff", { until, attempt: rateLimit.consecutive, reason });
+  while (Date.now() < until && !isAborted()) await sleep(Math.min(5000, until - Date.now()));
+  emitEvent("backoff", { until: null });
+  if (!isAborted()) log("info", "Resuming after rate-limit pause");
+  return true;
+}
+
+function noteActionSucceeded() {
+  rateLimit.consecutive = 0;
+  noteSpeedOutcome(false);
+}
+
+// ================= TIMELINE DATA =================
+// The profile timeline is rendered from X's UserTweets/UserTweetsAndReplies GraphQL responses.
+// Reading them gives exact dates, authors and repost flags without scraping the card, which
+// breaks whenever X reshuffles its markup. Cards missing from the index fall back to the DOM.
+const RE_TIMELINE_QUERY = /\/graphql\/[^/]+\/(UserTweets|UserTweetsAndReplies|SearchTimeline|Likes|Bookmarks)(\?|$)/;
+let timelineIndex = { tweets: new Map(), hits: 0, misses: 0 };
+
+function parseEngagementNumber(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+// One `tweet_results.result`, possibly wrapped for limited-visibility tweets
+function indexTweetResult(result) {
+  const tweet = result?.__typename === "TweetWithVisibilityResults" ? result.tweet : result;
+  const legacy = tweet?.legacy;
+  if (!tweet?.rest_id || !legacy) return null;
+
+  const user = tweet.core?.user_results?.result;
+  const author = (user?.core?.screen_name || user?.legacy?.screen_name || "").toLowerCase();
+  const createdAt = new Date(legacy.created_at);
+  const retweeted = legacy.retweeted_status_result?.result;
+  const original = retweeted ? indexTweetResult(retweeted) : null;
+  const previous = timelineIndex.tweets.get(tweet.rest_id);
+  const entry = {
+    id: tweet.rest_id,
+    author,
+    authorId: legacy.user_id_str || user?.rest_id || null,
+    date: isNaN(createdAt.getTime()) ? null : createdAt,
+    isRetweet: Boolean(original),
+    isQuote: Boolean(legacy.is_quote_status),
+    quotedId: legacy.quoted_status_id_str || null,
+    media: classifyTweetData({
+      media: legacy.extended_entities?.media || legacy.entities?.media,
+      cardName: tweet.card?.legacy?.name,
+      quote: Boolean(legacy.is_quote_status)
+    }),
+    // Author of the tweet this one answers: null when it is not a reply, undefined when X left the name out
+    replyTo: !legacy.in_reply_to_status_id_str ? null : legacy.in_reply_to_screen_name?.toLowerCase(),
+    // Set on the original when the profile reposted it, either seen via the wrapper or X's own viewer flag
+    repostedByYou: Boolean(previous?.repostedByYou || legacy.retweeted),
+    engagement: legacy.favorite_count === undefined ? null : {
+      replies: parseEngagementNumber(legacy.reply_count),
+      reposts: parseEngagementNumber(legacy.retweet_count),
+      likes: parseEngagementNumber(legacy.favorite_count),
+      views: parseEngagementNumber(tweet.views?.count)  // Old tweets have no view count
+    }
+  };
+  timelineIndex.tweets.set(entry.id, entry);
+  if (original && author === PROFILE_HANDLE) original.repostedByYou = true;
+  return entry;
+}
+
+// Instructions nest entries, modules and conversation threads differently per endpoint,
+// so walk the whole payload instead of following one path
+function indexTimelinePayload(node, depth = 0) {
+  if (!node || typeof node !== "object" || depth > 40) return;
+  if (Array.isArray(node)) {
+    for (const item of node) indexTimelinePayload(item, depth + 1);
+    return;
+  }
+  if (node.tweet_results?.result) {
+    indexTweetResult(node.tweet_results.result);
+    return;
+  }
+  for (const value of Object.values(node)) indexTimelinePayload(value, depth + 1);
+}
+
+function watchTimelineResponses(context) {
+  timelineIndex = { tweets: new Map(), hits: 0, misses: 0 };
+  context.on("response", async (response) => {
+    if (response.status() !== 200 || !RE_TIMELINE_QUERY.test(response.url())) return;
+    try {
+      indexTimelinePayload(await response.json());
+    } catch {}  // Page navigated away or body was not JSON - the DOM fallback covers it
+  });
+}
+
+// Only entries with both a date and an author can stand in for the card
+function timelineEntry(statusId) {
+  const entry = statusId ? timelineIndex.tweets.get(statusId) : null;
+  const usable = Boolean(entry?.date && entry.author);
+  if (usable) timelineIndex.hits++;
+  else timelineIndex.misses++;
+  return usable ? entry : null;
+}
+
+function dateCheckFromEntry(entry, preview) {
+  return { decision: decideByDate(entry.date), date: entry.date, dateStr: formatDate(entry.date), preview };
+}
+
+// Same shape as isYours(); the API says who wrote or reposted it, so there is nothing transient
+function ownershipFromEntry(entry) {
+  if (entry.author === PROFILE_HANDLE) return { yours: true, transient: false, reason: "api-author", isRetweet: false };
+  if (HANDLE_REPOSTS && entry.repostedByYou) return { yours: true, transient: false, reason: "api-repost", isRetweet: true };
+  return { yours: false, transient: false, reason: "not-yours", isRetweet: false };
+}
+
+// ================= DELETE VERIFICATION =================
+// tryDelete only knows its clicks went through. A removal counts once the status is
+// actually gone: its card left the timeline, or its page says it was deleted.
+const VERIFY_DOM_MS = 4000;
+
+// Matches the card's timestamp link whatever the handle's capitalisation
+function statusLinkSelector(key) {
+  return `article a[href$="/status/${parseStatusId(key)}"]`;
+}
+
+// Built from the status ID, so a key carrying a /photo/1 or /analytics suffix still opens the status page
+async function statusPageGone(page, key) {
+  const statusId = parseStatusId(key);
+  if (!statusId) return false;
+  const probe = await page.context().newPage();
+  try {
+    await probe.goto(`https://x.com/${authorFromKey(key) || "i"}/status/${statusId}`, { waitUntil: "domcontentloaded", timeout: 30000 });
+    await probe.waitForSelector(`${sel("tweet")}, ${sel("statusError")}`, { timeout: 15000 }).catch(() => {});
+    const bodyText = await withTimeout(probe.locator("body").innerText().catch(() => ""), 3000, "");
+    if (RE_POST_GONE.test(bodyText || "")) return true;
+    // No "deleted" notice: only trust it if the page rendered and the tweet is missing from it
+    const [articles, stillThere] = await Promise.all([
+      withTimeout(probe.locator(sel("tweet")).count(), 2000, 0),
+      withTimeout(probe.locator(statusLinkSelector(key)).count(), 2000, 1)
+    ]);
+    return articles > 0 && stillThere === 0;
+  } catch (err) {
+    log("warn", `Could not re-open ${key} to verify: ${err?.message || err}`);
+    return false;
+  } finally {
+    await probe.close().catch(() => {});
+  }
+}
+
+async function verifyDeleted(page, key) {
+  const cardLink = page.locator(statusLinkSelector(key));
+  const deadline = Date.now() + VERIFY_DOM_MS;
+  while (Date.now() < deadline) {
+    if (await withTimeout(cardLink.count(), 1000, 1) === 0) return true;
+    await page.waitForTimeout(250);
+  }
+  // Still rendered (or quoted by another card) - ask X directly
+  return statusPageGone(page, key);
+}
+
+async function tryDeleteVerified(page, card, key) {
+  const res = await tryDelete(page, card);
+  if (!res.ok || !parseStatusId(key)) return res;
+  if (await verifyDeleted(page, key)) return res;
+  log("warn", "Delete was clicked but the tweet is still on X");
+  return { ok: false, reason: "delete-unverified" };
+}
+
 async function tryUndoRepost(page, card) {
   if (!HANDLE_REPOSTS) return { ok: false, reason: "repost-disabled" };
 
   // Find the repost/unretweet button - green when active
   // First try within card scope, then try page-level for retweets where button may be outside card
-  let unretweetBtn = card.locator('[data-testid="unretweet"]').first();
-  let retweetBtn = card.locator('[data-testid="retweet"]').first();
+  let unretweetBtn = card.locator(sel("unretweet")).first();
+  let retweetBtn = card.locator(sel("retweet")).first();
 
   // Check for the unretweet button (indicates this is a repost)
   let unretweetCount = await withTimeout(unretweetBtn.count(), 2000, 0);
@@ -1250,7 +2568,7 @@ async function tryUndoRepost(page, card) {
   // If not found in card, the card might be the inner tweet - try page level
   // Look for unretweet button that's visible (in viewport)
   if (unretweetCount === 0) {
-    const pageUnretweet = page.locator('[data-testid="unretweet"]:visible').first();
+    const pageUnretweet = page.locator(selWith("unretweet", ":visible")).first();
     const pageUnretweetCount = await withTimeout(pageUnretweet.count(), 1000, 0);
     if (pageUnretweetCount > 0) {
       log("info", "Found unretweet button at page level (retweet card)");
@@ -1265,18 +2583,9 @@ async function tryUndoRepost(page, card) {
     await unretweetBtn.click({ timeout: 5000 }).catch(() => {});
     await page.waitForTimeout(500);  // Wait longer for popup to appear
 
-    // Try multiple selectors for the repost popup menu items
+    // Try each selector for the repost popup menu items
     // X's repost popup uses different selectors than the caret menu
-    const popupSelectors = [
-      'div[role="menuitem"]',
-      'a[role="menuitem"]',
-      'button[role="menuitem"]',
-      '[data-testid="unretweetConfirm"]',  // Direct undo repost button
-      'div[role="menu"] div[role="menuitem"]',
-      '[role="menu"] span'
-    ];
-
-    for (const selector of popupSelectors) {
+    for (const selector of SELECTORS.repostMenuItem.css) {
       const items = page.locator(selector);
       const n = await withTimeout(items.count(), 1000, 0);
       for (let i = 0; i < n && i < 5; i++) {
@@ -1291,7 +2600,7 @@ async function tryUndoRepost(page, card) {
     }
 
     // Also try clicking directly if there's an unretweetConfirm button
-    const confirmBtn = page.locator('[data-testid="unretweetConfirm"]').first();
+    const confirmBtn = page.locator(sel("unretweetConfirm")).first();
     const confirmCount = await withTimeout(confirmBtn.count(), 500, 0);
     if (confirmCount > 0) {
       await confirmBtn.click({ timeout: 3000 }).catch(() => {});
@@ -1313,46 +2622,280 @@ async function tryUndoRepost(page, card) {
   return { ok: false, reason: "no-repost-btn" };
 }
 
-async function collectWorklist(page, want, seen, retryState, seenEver) {
+async function tryUnlike(page, card) {
+  const unlikeBtn = card.locator(sel("unlike")).first();
+  const unlikeCount = await withTimeout(unlikeBtn.count(), 2000, 0);
+  if (unlikeCount === 0) {
+    // A plain like button means it was already unliked (e.g. on another device)
+    const likeCount = await withTimeout(card.locator(sel("like")).count(), 1000, 0);
+    return { ok: false, reason: likeCount > 0 ? "not-liked" : "no-unlike-btn" };
+  }
+
+  await unlikeBtn.click({ timeout: 5000 }).catch(() => {});
+  await page.waitForTimeout(300);
+
+  // The button flips to "like" once X accepts the unlike
+  const flipped = await withTimeout(card.locator(sel("like")).count(), 2000, 0);
+  return flipped > 0 ? { ok: true, reason: "unliked" } : { ok: false, reason: "no-unlike-btn" };
+}
+
+async function tryRemoveBookmark(page, card) {
+  const removeBtn = card.locator(sel("removeBookmark")).first();
+  const removeCount = await withTimeout(removeBtn.count(), 2000, 0);
+  if (removeCount === 0) {
+    const bookmarkCount = await withTimeout(card.locator(sel("bookmark")).count(), 1000, 0);
+    return { ok: false, reason: bookmarkCount > 0 ? "not-bookmarked" : "no-unbookmark-btn" };
+  }
+
+  await removeBtn.click({ timeout: 5000 }).catch(() => {});
+  await page.waitForTimeout(300);
+
+  // The card either flips to "bookmark" or drops out of the bookmarks list
+  const stillBookmarked = await withTimeout(card.locator(sel("removeBookmark")).count(), 2000, 1);
+  return stillBookmarked === 0 ? { ok: true, reason: "unbookmarked" } : { ok: false, reason: "no-unbookmark-btn" };
+}
+
+// Tabs holding other people's tweets: cards are only unliked/unbookmarked, never deleted
+const COLLECTION_TABS = {
+  Likes: { verb: "UNLIKE", decision: "unlike", action: tryUnlike, dateFilter: () => LIKES_DATE_FILTER },
+  Bookmarks: { verb: "UNBOOKMARK", decision: "unbookmark", action: tryRemoveBookmark, dateFilter: () => BOOKMARKS_DATE_FILTER }
+};
+
+// First path segment of /<handle>/status/<id>
+function authorFromKey(key) {
+  const match = String(key || "").match(/^\/([^/]+)\/status\//);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// KEEP_LATEST: the first N own tweets met on a tab are kept. Status IDs grow with time, so a tweet
+// newer than the oldest kept one (seen out of order after a reload) is kept too - never fewer than N.
+function latestRetentionDecision(tabName, statusId) {
+  if (!LATEST_KEPT.has(tabName)) LATEST_KEPT.set(tabName, new Set());
+  const kept = LATEST_KEPT.get(tabName);
+  if (!statusId || kept.has(statusId)) return "keep";
+  const id = BigInt(statusId);
+  let oldestKept = null;
+  for (const keptId of kept) {
+    const value = BigInt(keptId);
+    if (oldestKept === null || value < oldestKept) oldestKept = value;
+  }
+  if (kept.size < KEEP_LATEST || id > oldestKept) {
+    kept.add(statusId);
+    return "keep";
+  }
+  return "delete";
+}
+
+async function collectWorklist(page, want, seen, retryState, seenEver, tabName) {
   const cards = allCards(page);
   const n = await cards.count();
   const mine = [];
   for (let i = 0; i < n && mine.length < want; i++) {
     const card = cards.nth(i);
-    const key = await statusKey(card);
+    const ids = await statusIds(card);
+    const key = ids?.key;
     if (!key || seen.has(key)) continue;
     seenEver.add(key);
     const retryEntry = getRetryEntry(retryState, key);
 
+    // Explicitly protected and pinned tweets are kept before any date or menu work
+    const collection = COLLECTION_TABS[tabName];
+    const statusId = parseStatusId(key);
+    if (statusId && !collection && !PINNED_IDS.has(statusId) && await isPinnedCard(card)) {
+      PINNED_IDS.add(statusId);  // Remembered across sweeps and reloads
+      log("info", `Pinned tweet detected (${statusId})`);
+    }
+    const protectReason = protectedStatusReason(statusId);
+    if (protectReason) {
+      const preview = await getTweetPreview(card);
+      log("protect", chalk.green(`Protected (${protectReason})`), chalk.gray(`"${preview}"`));
+      recordDecision({ key, preview, tab: tabName, decision: protectReason === "pinned" ? "protect-pinned" : "protect-list" });
+      finalizeSeenKey(seen, retryState, key);
+      continue;
+    }
+
+    if (tabName === "Bookmarks" && BOOKMARK_AUTHORS.length > 0) {
+      const author = authorFromKey(key);
+      if (!BOOKMARK_AUTHORS.includes(author)) {
+        log("skip", chalk.gray(`Filtered out, kept (author @${author || "?"})`));
+        recordDecision({ key, tab: tabName, decision: "other-author" });
+        finalizeSeenKey(seen, retryState, key);
+        continue;
+      }
+    }
+
+    // On the Posts tab (also scanned for quotes or reposts alone) your quote tweets follow INCLUDE_QUOTES and
+    // your other tweets INCLUDE_POSTS. Everything on the Replies tab, quote replies included, follows INCLUDE_REPLIES.
+    if (!collection && tabName === "Posts" && authorFromKey(key) === PROFILE_HANDLE) {
+      const included = ids.isQuote ? INCLUDE_QUOTES : INCLUDE_POSTS;
+      if (!included) {
+        const preview = await getTweetPreview(card);
+        log("skip", chalk.gray(`Not selected, kept (${ids.isQuote ? "quote tweet" : "post"})`), chalk.gray(`"${preview}"`));
+        recordDecision({ key, preview, tab: tabName, quotedId: ids.quotedId, decision: "excluded-type" });
+        finalizeSeenKey(seen, retryState, key);
+        continue;
+      }
+    }
+
+    // Timeline API data is exact; the card is only read when the response was not captured.
+    const indexed = timelineEntry(statusId);
+
+    // Count retention replaces the date window for your own tweets (other people's replies and reposts are not counted)
+    const countsTowardLatest = !collection && KEEP_LATEST > 0 && authorFromKey(key) === PROFILE_HANDLE;
+    if (countsTowardLatest && tabName === "Replies") {
+      // Like the archive, the Replies tab counts only replies: your posts there are left to the Posts tab's count
+      const targets = await getReplyTargets(card, indexed);
+      if (!targets || targets.length === 0) {
+        const preview = await getTweetPreview(card);
+        log("skip", chalk.gray(targets ? "Not a reply, left to the Posts tab" : "Not sure it is a reply, kept"), chalk.gray(`"${preview}"`));
+        recordDecision({ key, preview, tab: tabName, decision: targets ? "excluded-type" : "unknown-reply-target" });
+        finalizeSeenKey(seen, retryState, key);
+        continue;
+      }
+    }
+    if (countsTowardLatest && latestRetentionDecision(tabName, statusId) === "keep") {
+      const preview = await getTweetPreview(card);
+      log("protect", chalk.green(`Protected (newest ${KEEP_LATEST})`), chalk.gray(`"${preview}"`));
+      recordDecision({ key, preview, tab: tabName, decision: "protect-latest" });
+      finalizeSeenKey(seen, retryState, key);
+      continue;
+    }
+
     // Check date first to avoid menu interactions on protected/old tweets.
-    const dateCheck = await shouldDeleteByDate(card);
+    let dateCheck;
+    if (collection && collection.dateFilter() === "none") {
+      dateCheck = { decision: "delete", date: null, dateStr: "Any date", preview: await getTweetPreview(card) };
+    } else if (countsTowardLatest) {
+      const { date, dateStr, preview } = indexed ? dateCheckFromEntry(indexed, await getTweetPreview(card)) : await shouldDeleteByDate(card);
+      dateCheck = { decision: "delete", date, dateStr: dateStr || "Any date", preview };
+    } else {
+      dateCheck = indexed ? dateCheckFromEntry(indexed, await getTweetPreview(card)) : await shouldDeleteByDate(card);
+    }
     if (dateCheck.decision === "unknown") {
+      noteSpeedOutcome(true);
       if (retryEntry.unknownDate < MAX_UNKNOWN_DATE_RETRIES) {
         retryEntry.unknownDate++;
         log("info", `Date not ready, retrying (${retryEntry.unknownDate}/${MAX_UNKNOWN_DATE_RETRIES})`, `"${dateCheck.preview}"`);
         continue;
       }
-      log("warn", `Unknown date, skipping`, `"${dateCheck.preview}"`);
-      finalizeSeenKey(seen, retryState, key);
-      continue;
+      log("warn", `Unknown date, skipping`, `"${dateCheck.preview}"`);
+      recordDecision({ key, preview: dateCheck.preview, tab: tabName, decision: "unknown-date" });
+      finalizeSeenKey(seen, retryState, key);
+      continue;
+    }
+
+    retryEntry.unknownDate = 0;
+    const candidate = { key, quotedId: ids.quotedId, date: dateCheck.date, preview: dateCheck.preview, tab: tabName };
+    if (dateCheck.decision === "protect") {
+      log("protect", chalk.green(`${dateCheck.dateStr} Protected`), chalk.gray(`"${dateCheck.preview}"`));
+      recordDecision({ ...candidate, decision: "protect" });
+      finalizeSeenKey(seen, retryState, key);
+      continue;
+    }
+    if (dateCheck.decision === "too-old") {
+      log("skip", chalk.gray(`${dateCheck.dateStr} Too old, kept`), chalk.gray(`"${dateCheck.preview}"`));
+      recordDecision({ ...candidate, decision: "too-old" });
+      finalizeSeenKey(seen, retryState, key);
+      continue;
+    }
+
+    // Classified even without a media filter, so logs and reports show what each tweet carried
+    candidate.media = indexed?.media || await classifyCard(card);
+    if (MEDIA_FILTER.length > 0) {
+      if (!candidate.media) {
+        log("warn", `Media not readable for filters, skipping`, `"${dateCheck.preview}"`);
+        recordDecision({ ...candidate, decision: "unknown-media" });
+        finalizeSeenKey(seen, retryState, key);
+        continue;
+      }
+      if (!matchesMediaFilter(candidate.media)) {
+        log("skip", chalk.gray(`${dateCheck.dateStr}${describeMedia(candidate.media)} Filtered out, kept (media type)`), chalk.gray(`"${dateCheck.preview}"`));
+        recordDecision({ ...candidate, decision: "other-media" });
+        finalizeSeenKey(seen, retryState, key);
+        continue;
+      }
+    }
+
+    if (hasContentFilters()) {
+      const content = await getTweetContent(card);
+      if (!content) {
+        // Never guess: a rule we could not evaluate might have protected this tweet
+        log("warn", `Text not readable for filters, skipping`, `"${dateCheck.preview}"`);
+        recordDecision({ ...candidate, decision: "unknown-content" });
+        finalizeSeenKey(seen, retryState, key);
+        continue;
+      }
+      const contentCheck = checkContentFilters(content);
+      if (contentCheck.decision === "exclude") {
+        log("protect", chalk.green(`${dateCheck.dateStr} Protected (matches ${contentCheck.rule})`), chalk.gray(`"${dateCheck.preview}"`));
+        recordDecision({ ...candidate, decision: "protect-content" });
+        finalizeSeenKey(seen, retryState, key);
+        continue;
+      }
+      if (contentCheck.decision === "no-include") {
+        log("skip", chalk.gray(`${dateCheck.dateStr} Filtered out, kept (no include rule matched)`), chalk.gray(`"${dateCheck.preview}"`));
+        recordDecision({ ...candidate, decision: "not-included" });
+        finalizeSeenKey(seen, retryState, key);
+        continue;
+      }
+    }
+
+    // Reply filters only look at the Replies tab; the Posts tab keeps following INCLUDE_POSTS
+    if (tabName === "Replies" && hasReplyTargetFilters()) {
+      const targets = await getReplyTargets(card, indexed);
+      if (!targets) {
+        log("warn", `Reply target not readable, skipping`, `"${dateCheck.preview}"`);
+        recordDecision({ ...candidate, decision: "unknown-reply-target" });
+        finalizeSeenKey(seen, retryState, key);
+        continue;
+      }
+      const replyCheck = checkReplyTargets(targets);
+      if (replyCheck.decision === "protect") {
+        log("protect", chalk.green(`${dateCheck.dateStr} Protected (reply to @${replyCheck.handle})`), chalk.gray(`"${dateCheck.preview}"`));
+        recordDecision({ ...candidate, decision: "protect-reply-target" });
+        finalizeSeenKey(seen, retryState, key);
+        continue;
+      }
+      if (replyCheck.decision === "other-target") {
+        const reason = replyCheck.handle ? `reply to @${replyCheck.handle}` : "not a reply";
+        log("skip", chalk.gray(`${dateCheck.dateStr} Filtered out, kept (${reason})`), chalk.gray(`"${dateCheck.preview}"`));
+        recordDecision({ ...candidate, decision: "other-reply-target" });
+        finalizeSeenKey(seen, retryState, key);
+        continue;
+      }
     }
 
-    retryEntry.unknownDate = 0;
-    if (dateCheck.decision === "protect") {
-      log("protect", chalk.green(`${dateCheck.dateStr} Protected`), chalk.gray(`"${dateCheck.preview}"`));
-      finalizeSeenKey(seen, retryState, key);
-      continue;
+    // Engagement thresholds protect your own popular tweets, not other people's
+    if (hasEngagementThresholds() && !collection) {
+      const counts = indexed?.engagement || await getEngagementCounts(card);
+      if (!counts) {
+        log("warn", `Engagement not readable, skipping`, `"${dateCheck.preview}"`);
+        recordDecision({ ...candidate, decision: "unknown-engagement" });
+        finalizeSeenKey(seen, retryState, key);
+        continue;
+      }
+      const protectReason = engagementProtectReason(counts);
+      if (protectReason) {
+        log("protect", chalk.green(`${dateCheck.dateStr} Protected (${protectReason})`), chalk.gray(`"${dateCheck.preview}"`));
+        recordDecision({ ...candidate, decision: "protect-engagement" });
+        finalizeSeenKey(seen, retryState, key);
+        continue;
+      }
     }
-    if (dateCheck.decision === "too-old") {
-      log("skip", chalk.gray(`${dateCheck.dateStr} Too old, kept`), chalk.gray(`"${dateCheck.preview}"`));
-      finalizeSeenKey(seen, retryState, key);
+
+    if (collection) {
+      // Liked/bookmarked tweets usually belong to other accounts, so there is no ownership check
+      log("delete", chalk.red(`${dateCheck.dateStr}${describeMedia(candidate.media)} → ${collection.verb}`), chalk.gray(`"${dateCheck.preview}"`));
+      seen.add(key);
+      mine.push({ key, card, isRetweet: false, candidate });
       continue;
     }
 
-    log("delete", chalk.red(`${dateCheck.dateStr} → DELETE`), chalk.gray(`"${dateCheck.preview}"`));
+    log("delete", chalk.red(`${dateCheck.dateStr}${describeMedia(candidate.media)} → DELETE`), chalk.gray(`"${dateCheck.preview}"`));
 
-    const ownership = await isYours(page, card);
+    const ownership = indexed ? ownershipFromEntry(indexed) : await isYours(page, card);
     if (!ownership.yours) {
+      if (ownership.transient) noteSpeedOutcome(true);  // Menu did not open or came up empty
       if (ownership.transient && retryEntry.ownership < MAX_OWNERSHIP_RETRIES) {
         retryEntry.ownership++;
         log("info", `Ownership check pending (${ownership.reason}), retrying (${retryEntry.ownership}/${MAX_OWNERSHIP_RETRIES})`);
@@ -1361,33 +2904,176 @@ async function collectWorklist(page, want, seen, retryState, seenEver) {
       if (ownership.transient) {
         log("info", `Ownership unresolved after retries (${ownership.reason}), skipping`);
       }
+      recordDecision({ ...candidate, decision: ownership.transient ? "ownership-unresolved" : "not-yours" });
       finalizeSeenKey(seen, retryState, key);
       continue;
     }
 
     retryEntry.ownership = 0;
-    // Preserve repost signal from ownership check; only re-check if still unknown.
-    const isRetweet = ownership.isRetweet || (HANDLE_REPOSTS && await isUserRepost(card));
+    // Preserve repost signal from ownership check; only re-check the card if still unknown.
+    const isRetweet = ownership.isRetweet || (!indexed && HANDLE_REPOSTS && await isUserRepost(card));
+    if (isRetweet && !(await repostAuthorAllowed(card, indexed, key, candidate))) {
+      finalizeSeenKey(seen, retryState, key);
+      continue;
+    }
     seen.add(key); // Mark as in-flight; will be unmarked on retryable action failures.
-    mine.push({ key, card, isRetweet });
+    mine.push({ key, card, isRetweet, candidate });
   }
   return mine;
 }
 
+// Delete or un-repost a single card, falling back to the other action when enabled.
+// Retweets don't have "Delete" in caret menu, they need unretweet button.
+// Cards on the Likes and Bookmarks tabs are only ever unliked/unbookmarked.
+async function performCardAction(page, card, isRetweet, tabName, key) {
+  const collection = COLLECTION_TABS[tabName];
+  if (collection) {
+    const res = await collection.action(page, card);
+    if (!res.ok) log("info", `Skipped: ${res.reason}`);
+    return { res, deleteRes: { ok: false, reason: "not-tried" }, repostRes: { ok: false, reason: "not-tried" }, reasons: [res.reason] };
+  }
+
+  let res;
+  let deleteRes = { ok: false, reason: "not-tried" };
+  let repostRes = { ok: false, reason: "not-tried" };
+
+  if (isRetweet && HANDLE_REPOSTS) {
+    // Retweet: try unretweet first, then delete as fallback
+    log("info", "Detected as retweet - trying unretweet first");
+    repostRes = await tryUndoRepost(page, card);
+    res = repostRes;
+    if (!repostRes.ok) {
+      deleteRes = await tryDeleteVerified(page, card, key);
+      res = deleteRes;
+    }
+  } else {
+    // Regular tweet: try delete first, then unretweet as fallback
+    deleteRes = await tryDeleteVerified(page, card, key);
+    res = deleteRes;
+    if (!deleteRes.ok && deleteRes.reason !== "delete-unverified" && HANDLE_REPOSTS) {
+      // Only now known to be a repost, so the author lists still apply
+      const author = hasRepostAuthorFilters() ? await getCardAuthor(card) || authorFromKey(key) : null;
+      if (hasRepostAuthorFilters() && (!author || checkHandleLists([author], REPOSTS_OF, KEEP_REPOSTS_OF).decision !== "pass")) {
+        log("info", `Not undoing repost of @${author || "?"} (repost author filters)`);
+        repostRes = { ok: false, reason: "repost-author-filtered" };
+        return { res: repostRes, deleteRes, repostRes, reasons: [repostRes.reason] };  // Final, not worth a retry
+      }
+      repostRes = await tryUndoRepost(page, card);
+      res = repostRes;
+    }
+  }
+
+  // Log if tweet couldn't be deleted - show both reasons
+  if (!res.ok) {
+    if (deleteRes.reason !== "not-tried" && repostRes.reason !== "not-tried" && deleteRes.reason !== repostRes.reason) {
+      log("warn", `Skipped: delete failed (${deleteRes.reason}), repost failed (${repostRes.reason})`);
+    } else if (deleteRes.reason !== "not-tried") {
+      log("info", `Skipped: ${deleteRes.reason}`);
+    } else {
+      log("info", `Skipped: ${repostRes.reason}`);
+    }
+  }
+
+  const reasons = [res.reason, deleteRes.reason, repostRes.reason]
+    .filter(reason => reason && reason !== "not-tried");
+  return { res, deleteRes, repostRes, reasons };
+}
+
+// ================= SELECTOR HEALTH CHECK =================
+// Where each entry can be checked from your own profile page; the rest only exist in dialogs,
+// on other tabs or on other people's profiles
+const CHECKED_ON_PROFILE = ["timeline", "profile"];
+
+async function countMatches(page, css) {
+  return withTimeout(page.locator(css).count().catch(() => 0), 3000, 0);
+}
+
+// Opens @handle and counts matches per selector, then opens one caret menu for the menu items
+// and the delete text. Nothing is clicked beyond that menu.
+async function checkSelectorHealth(page) {
+  await page.goto(`https://x.com/${PROFILE_HANDLE}`, { waitUntil: "domcontentloaded", timeout: 30000 }).catch(() => {});
+  await page.waitForSelector(sel("tweet"), { timeout: 15000 }).catch(() => {});
+  await dismissPopups(page);
+
+  const results = [];
+  for (const [name, { where, css }] of Object.entries(SELECTORS)) {
+    if (!CHECKED_ON_PROFILE.includes(where)) {
+      results.push({ name, where, status: "not-checked" });
+      continue;
+    }
+    const hits = [];
+    for (const alternative of css) hits.push(await countMatches(page, alternative));
+    results.push({ name, where, status: hits.some(n => n > 0) ? "ok" : "missing", hits, css });
+  }
+
+  const menuResult = results.find(r => r.name === "menuItem");
+  const deleteResult = { name: "pattern:delete", where: "menu", status: "not-checked" };
+  results.push(deleteResult);
+  const card = allCards(page).first();
+  if (await withTimeout(card.count(), 2000, 0) > 0 && await openMenu(page, card)) {
+    const items = page.locator(sel("menuItem"));
+    const n = await withTimeout(items.count(), 3000, 0);
+    const texts = [];
+    for (let i = 0; i < n && i < 10; i++) {
+      texts.push(((await withTimeout(items.nth(i).innerText().catch(() => ""), 1000, "")) || "").split("\n")[0].trim());
+    }
+    await page.keyboard.press("Escape").catch(() => {});
+    Object.assign(menuResult, { status: n > 0 ? "ok" : "missing", hits: [n], css: SELECTORS.menuItem.css });
+    // The first tweet may be a repost or someone else's reply, whose menu has no Delete
+    Object.assign(deleteResult, { status: texts.some(t => RE_DELETE.test(t)) ? "ok" : "missing", menu: texts.filter(Boolean) });
+  }
+  return results;
+}
+
+function printSelectorHealth(results) {
+  console.log("");
+  console.log(chalk.bold(`  Selector pack ${SELECTOR_PACK_INFO.version} (${SELECTOR_PACK_INFO.source}), menu texts: ${UI_LOCALE ? LOCALES[UI_LOCALE].name : "all languages"}`));
+  for (const r of results) {
+    const overridden = SELECTOR_PACK_INFO.overridden.includes(r.name) ? chalk.cyan(" [override]") : "";
+    if (r.status === "not-checked") {
+      console.log(chalk.gray(`  - ${r.name.padEnd(18)} not checked here (${r.where})`) + overridden);
+    } else if (r.status === "ok") {
+      console.log(`  ${chalk.green("✓")} ${r.name.padEnd(18)} ${r.hits ? chalk.gray(r.hits.join(" / ")) : chalk.gray("matched")}${overridden}`);
+    } else {
+      const detail = r.menu ? `menu showed: ${r.menu.join(", ") || "nothing"}` : `no match for ${r.css.join(" | ")}`;
+      console.log(`  ${chalk.red("✗")} ${r.name.padEnd(18)} ${chalk.yellow(detail)}${overridden}`);
+    }
+  }
+  console.log("");
+}
+
 // ================= MAIN PROCESSING =================
-async function processTab(page, tabName, removed, startTime) {
+// Returns how many cards were scanned and whether the tab (or search window) ran to its end
+async function processTab(page, tabName, removed, startTime, search = null) {
   console.log("");
-  log("tab", chalk.magenta.bold(`Processing ${tabName}`));
-  log("info", `DELETE from ${formatDate(DELETE_BEFORE)} to ${formatDate(PROTECT_AFTER)}, PROTECT after ${formatDate(PROTECT_AFTER)}`);
+  log("tab", chalk.magenta.bold(search ? `Processing ${tabName} (search ${search.label})` : `Processing ${tabName}`));
+  const collection = COLLECTION_TABS[tabName];
+  if (collection && collection.dateFilter() === "none") {
+    log("info", `${collection.verb} every tweet on ${tabName} (date filter off)`);
+  } else if (collection) {
+    log("info", `${collection.verb} tweets posted ${describeDeleteRange()} (X does not show when you saved them)`);
+  } else if (KEEP_LATEST > 0) {
+    log("info", `KEEP your newest ${KEEP_LATEST} tweets on ${tabName}, DELETE everything older (reposts follow the date range)`);
+  } else {
+    log("info", describeDateWindow());
+  }
 
-  await gotoProfileTab(page, tabName);
+  await gotoProfileTab(page, tabName, search);
 
   let lastProgressTime = Date.now();
   let sweepCount = 0;
   const MAX_SWEEPS = 50;  // Max full sweeps before giving up
-  const globalSeen = new Set();  // Track ALL tweets seen across entire session
+  const resumed = restoreTabCheckpoint(tabName);
+  const globalSeen = resumed.seen;  // Track ALL tweets seen across entire session (and earlier runs)
   const seenEver = new Set();  // Monotonic scan count for loop detection/logging
-  const retryState = new Map();  // Retry budgets for transient detection/action failures
+  const retryState = resumed.retryState;  // Retry budgets for transient detection/action failures
+  const removedAtStart = removed.count;
+  let savedSeenSize = globalSeen.size;
+  const checkpointState = () => ({
+    retryState,
+    removed: resumed.removed + removed.count - removedAtStart,
+    sweeps: resumed.sweeps + sweepCount
+  });
   const rhythmState = { nextLongPauseAt: removed.count + rand(28, 60) };
   let loopDetectCount = 0;  // Count consecutive loops without progress
 
@@ -1411,8 +3097,10 @@ async function processTab(page, tabName, removed, startTime) {
         lastProgressTime = Date.now();
       }
 
+      if (await backOffIfRateLimited(page)) continue;
+
       // Find deletable tweets in current view
-      const work = await collectWorklist(page, Math.min(10, TARGET - removed.count), globalSeen, retryState, seenEver);
+      const work = await collectWorklist(page, Math.min(10, TARGET - removed.count), globalSeen, retryState, seenEver, tabName);
 
       // Debug: show what we found
       const totalCards = await allCards(page).count();
@@ -1422,18 +3110,33 @@ async function processTab(page, tabName, removed, startTime) {
       await pauseAllVideos(page);
       await dismissPopups(page);
 
+      const pending = new Set(work.map(item => item.key));
       if (work.length > 0) {
         noLoadCount = 0;
 
         // Delete each tweet found
         for (const workItem of work) {
           if (isAborted() || removed.count >= TARGET) break;
+          pending.delete(workItem.key);
 
           // Extract card and pre-computed isRetweet from worklist
           const key = workItem.key;
           const card = workItem.card;
           const isRetweet = workItem.isRetweet;
 
+          const decision = collection ? collection.decision : isRetweet && HANDLE_REPOSTS ? "unrepost" : "delete";
+          if (DRY_RUN) {
+            log("info", `Dry run: would ${decision}`, `"${workItem.candidate.preview}"`);
+            recordDecision({ ...workItem.candidate, isRetweet, decision, result: "dry-run" });
+            finalizeSeenKey(globalSeen, retryState, key);
+            removed.count++;
+            deletedThisSweep++;
+            emitEvent("candidate", { count: removed.count });
+            updateProgress(removed.count, tabName, TARGET);
+            lastProgressTime = Date.now();
+            continue;
+          }
+
           try {
             // Kill any videos BEFORE scrolling to prevent network stalling
             await pauseAllVideos(page);
@@ -1448,43 +3151,26 @@ async function processTab(page, tabName, removed, startTime) {
             await pauseAllVideos(page);
             await page.waitForTimeout(100);
 
-            // Use pre-computed isRetweet from worklist (detected when card was fresh)
-            // Retweets don't have "Delete" in caret menu, they need unretweet button
-            let res;
-            let deleteRes = { ok: false, reason: "not-tried" };
-            let repostRes = { ok: false, reason: "not-tried" };
-
-            if (isRetweet && HANDLE_REPOSTS) {
-              // Retweet: try unretweet first, then delete as fallback
-              log("info", "Detected as retweet - trying unretweet first");
-              repostRes = await tryUndoRepost(page, card);
-              res = repostRes;
-              if (!repostRes.ok) {
-                deleteRes = await tryDelete(page, card);
-                res = deleteRes;
-              }
-            } else {
-              // Regular tweet: try delete first, then unretweet as fallback
-              deleteRes = await tryDelete(page, card);
-              res = deleteRes;
-              if (!deleteRes.ok && HANDLE_REPOSTS) {
-                repostRes = await tryUndoRepost(page, card);
-                res = repostRes;
-              }
+            // Never delete what we could not back up
+            if (!collection && !(await backupTweet(card, workItem.candidate, isRetweet))) {
+              log("warn", "Not deleting: backup could not be written", `"${workItem.candidate.preview}"`);
+              recordDecision({ ...workItem.candidate, isRetweet, decision, result: "backup-failed" });
+              finalizeSeenKey(globalSeen, retryState, key);
+              continue;
             }
 
-            // Log if tweet couldn't be deleted - show both reasons
+            // Use pre-computed isRetweet from worklist (detected when card was fresh)
+            const { res, reasons } = await performCardAction(page, card, isRetweet, tabName, key);
+            const throttled = !res.ok && await backOffIfRateLimited(page);
+            recordDecision({ ...workItem.candidate, isRetweet, decision, result: throttled ? "rate-limited" : res.reason, removed: res.ok });
+
+            if (throttled) {
+              // Cards are stale after the pause: hand this and the rest of the batch back to the next scan
+              for (const pendingKey of [key, ...pending]) globalSeen.delete(pendingKey);
+              pending.clear();
+              break;
+            }
             if (!res.ok) {
-              if (deleteRes.reason !== "not-tried" && repostRes.reason !== "not-tried" && deleteRes.reason !== repostRes.reason) {
-                log("warn", `Skipped: delete failed (${deleteRes.reason}), repost failed (${repostRes.reason})`);
-              } else if (deleteRes.reason !== "not-tried") {
-                log("info", `Skipped: ${deleteRes.reason}`);
-              } else {
-                log("info", `Skipped: ${repostRes.reason}`);
-              }
-
-              const reasons = [res.reason, deleteRes.reason, repostRes.reason]
-                .filter(reason => reason && reason !== "not-tried");
               const retryableReason = reasons.find(reason => RETRYABLE_ACTION_REASONS.has(reason));
               if (retryableReason) {
                 registerActionFailure(globalSeen, retryState, key, retryableReason);
@@ -1494,6 +3180,7 @@ async function processTab(page, tabName, removed, startTime) {
             }
 
             if (res.ok) {
+              noteActionSucceeded();
               removed.count++;
               deletedThisSweep++;
               emitEvent("deleted", { count: removed.count });
@@ -1503,6 +3190,7 @@ async function processTab(page, tabName, removed, startTime) {
             }
           } catch (e) {
             log("error", "Delete failed (continuing)", e?.message || e);
+            recordDecision({ ...workItem.candidate, isRetweet, decision, result: "exception" });
             registerActionFailure(globalSeen, retryState, key, "exception", {
               forceRetry: true,
               label: "after exception"
@@ -1519,6 +3207,12 @@ async function processTab(page, tabName, removed, startTime) {
         }
       }
 
+      // Persist after every batch, and every ~50 kept tweets while only scrolling past them
+      if (work.length > 0 || globalSeen.size - savedSeenSize >= 50) {
+        saveTabCheckpoint(tabName, checkpointState());
+        savedSeenSize = globalSeen.size;
+      }
+
       // Scroll down to load more tweets - use multiple methods for reliability
       const beforeCount = await allCards(page).count();
 
@@ -1546,9 +3240,18 @@ async function processTab(page, tabName, removed, startTime) {
       }
     }
 
+    saveTabCheckpoint(tabName, checkpointState());
+    savedSeenSize = globalSeen.size;
+
     const newTweetsSeen = seenEver.size - seenBeforeSweep;
     log("info", `Sweep ${sweepCount} complete: ${deletedThisSweep} deleted, ${newTweetsSeen} new tweets scanned (${seenEver.size} total)`);
 
+    // A search window only holds the date range, so a sweep without deletions means it is done
+    if (search && deletedThisSweep === 0) {
+      log("info", "No more deletable tweets in this window.");
+      break;
+    }
+
     // Detect timeline looping - if no new tweets AND no deletions, timeline may have reset
     if (newTweetsSeen === 0 && deletedThisSweep === 0) {
       loopDetectCount++;
@@ -1578,25 +3281,454 @@ async function processTab(page, tabName, removed, startTime) {
       }
     }
   }
+  const finished = removed.count < TARGET && !isAborted();
+  // A search window is only part of the tab; processSearch clears it once every window is done
+  if (finished && !search) clearTabCheckpoint(tabName);
+  // The last sweep ends at the bottom of the results, so the last card is the oldest X returned
+  const oldest = search && finished ? await lastCardDate(page) : null;
+  return { scanned: seenEver.size, finished, oldest };
+}
+
+async function lastCardDate(page) {
+  const last = allCards(page).last();
+  if (await withTimeout(last.count(), 2000, 0) === 0) return null;
+  const statusId = parseStatusId(await statusKey(last));
+  const entry = statusId ? timelineIndex.tweets.get(statusId) : null;
+  return entry?.date || getTweetDate(last);
+}
+
+// ================= ADVANCED SEARCH =================
+// `from:<handle> since: until:` searches jump straight to the delete range instead of scrolling
+// past every protected recent tweet. X stops returning results deep into a long search, so a
+// window that comes back with many results that stop well short of its start is split in half
+// and each half searched again.
+const SEARCH_EARLIEST = new Date(2006, 2, 1);  // X launched in March 2006
+const SEARCH_SPLIT_AT = 300;  // Cards in one window that suggest X cut the results short
+const SEARCH_FILTERS = { Posts: "-filter:replies", Replies: "filter:replies" };
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function isoDay(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// Year-long windows, newest first. Search dates are UTC, so the range is padded by a day on
+// each side; the date check on every card still decides what is actually deleted.
+function searchWindows(from, to) {
+  const since = addDays(from < SEARCH_EARLIEST ? SEARCH_EARLIEST : from, -1);
+  const windows = [];
+  let until = addDays(to, 1);
+  while (until > since) {
+    const yearBefore = new Date(until.getFullYear() - 1, until.getMonth(), until.getDate());
+    const start = yearBefore > since ? yearBefore : since;
+    windows.push({ since: start, until });
+    until = start;
+  }
+  return windows;
+}
+
+function searchView(tabName, range) {
+  const query = `from:${PROFILE_HANDLE} since:${isoDay(range.since)} until:${isoDay(range.until)} ${SEARCH_FILTERS[tabName]}`;
+  return {
+    url: `https://x.com/search?q=${encodeURIComponent(query)}&src=typed_query&f=live`,
+    label: `${isoDay(range.since)} → ${isoDay(range.until)}`
+  };
+}
+
+async function processSearch(page, tabName, removed, startTime) {
+  const queue = searchWindows(DELETE_BEFORE, PROTECT_AFTER);
+  log("info", `Searching ${tabName} in ${queue.length} window(s) ${describeDeleteRange()}`);
+  while (queue.length > 0 && removed.count < TARGET && !isAborted()) {
+    const range = queue.shift();
+    const view = searchView(tabName, range);
+    const result = await processTab(page, tabName, removed, startTime, view);
+    const days = Math.round((range.until - range.since) / (24 * 60 * 60 * 1000));
+    // Results that reach back to the start of the window were not cut short (unreadable: assume they were)
+    const reachedStart = result.oldest && result.oldest <= addDays(range.since, Math.max(2, Math.floor(days / 10)));
+    if (result.finished && result.scanned >= SEARCH_SPLIT_AT && !reachedStart && days > 1) {
+      const middle = addDays(range.since, Math.floor(days / 2));
+      log("info", `${result.scanned} results for ${view.label} - X may have cut them short, searching each half again`);
+      queue.unshift({ since: middle, until: range.until }, { since: range.since, until: middle });
+    }
+  }
+  if (queue.length === 0 && removed.count < TARGET && !isAborted()) clearTabCheckpoint(tabName);
+}
+
+// ================= X DATA ARCHIVE =================
+// Locate tweets.js (and tweets-part1.js, ...) inside an unzipped archive, or accept a direct file path
+function findArchiveTweetFiles(archivePath) {
+  const resolved = path.resolve(archivePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`X archive not found: ${resolved}`);
+  }
+  if (fs.statSync(resolved).isFile()) return [resolved];
+
+  const dataDir = fs.existsSync(path.join(resolved, "data")) ? path.join(resolved, "data") : resolved;
+  const files = fs.readdirSync(dataDir)
+    .filter(name => /^tweets?(-part\d+)?\.js$/.test(name))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(name => path.join(dataDir, name));
+
+  if (files.length === 0) {
+    throw new Error(`No tweets.js found in X archive: ${dataDir}`);
+  }
+  return files;
+}
+
+// Archive files are JS assignments: window.YTD.tweets.part0 = [ ... ]
+function parseArchiveFile(filePath) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  const start = raw.indexOf("=");
+  try {
+    const entries = JSON.parse(raw.slice(start + 1).trim().replace(/;\s*$/, ""));
+    if (!Array.isArray(entries)) throw new Error("expected an array");
+    return entries;
+  } catch (err) {
+    throw new Error(`Could not parse ${path.basename(filePath)}: ${err.message}`);
+  }
+}
+
+// Refuse archives exported from a different account than the one being cleaned
+function readArchiveUsername(archivePath) {
+  const resolved = path.resolve(archivePath);
+  const accountFile = path.join(resolved, "data", "account.js");
+  if (!fs.existsSync(accountFile)) return null;
+  try {
+    const [entry] = parseArchiveFile(accountFile);
+    return normalizeHandle(entry?.account?.username);
+  } catch {
+    return null;
+  }
+}
+
+function loadArchiveTweets(archivePath) {
+  const archiveOwner = readArchiveUsername(archivePath);
+  if (archiveOwner && archiveOwner !== PROFILE_HANDLE) {
+    throw new Error(`X archive belongs to @${archiveOwner}, not @${PROFILE_HANDLE}`);
+  }
+
+  const byId = new Map();
+  for (const file of findArchiveTweetFiles(archivePath)) {
+    for (const entry of parseArchiveFile(file)) {
+      const tweet = entry?.tweet || entry;
+      const id = String(tweet?.id_str || tweet?.id || "");
+      const date = new Date(tweet?.created_at);
+      if (!/^\d+$/.test(id) || isNaN(date.getTime())) continue;
+
+      const text = tweet.full_text || tweet.text || "";
+      let preview = text.substring(0, 40).replace(/\n/g, " ");
+      if (text.length > 40) preview += "...";
+
+      const entities = tweet.entities || {};
+      const content = buildTweetContent(text, [], {
+        hashtags: (entities.hashtags || []).map(h => h.text || ""),
+        mentions: (entities.user_mentions || []).map(m => m.screen_name || ""),
+        domains: (entities.urls || []).map(u => {
+          try { return new URL(u.expanded_url).hostname; } catch { return ""; }
+        }).filter(Boolean)
+      });
+
+      byId.set(id, {
+        id,
+        date,
+        preview,
+        content,
+        // Archive counts are a snapshot from export time; replies and views are not exported
+        engagement: {
+          likes: parseInt(tweet.favorite_count || "0", 10) || 0,
+          reposts: parseInt(tweet.retweet_count || "0", 10) || 0
+        },
+        isRetweet: /^RT @/.test(text),
+        repostOf: (text.match(/^RT @(\w{1,15}):/)?.[1] || "").toLowerCase() || null,
+        // The archive has no cards, so links and quotes come from the expanded URLs (polls can't be told apart)
+        media: classifyTweetData({
+          media: tweet.extended_entities?.media || entities.media,
+          urls: (entities.urls || []).map(u => u.expanded_url || "")
+        }),
+        isReply: Boolean(tweet.in_reply_to_status_id_str || tweet.in_reply_to_status_id),
+        replyTo: (tweet.in_reply_to_screen_name || "").toLowerCase() || null
+      });
+    }
+  }
+
+  // Oldest first so a partial run clears the deepest history
+  return [...byId.values()].sort((a, b) => a.date - b.date);
+}
+
+// Apply the content toggles and date window to archive entries
+// Returns the tweets to act on, plus what the archive alone already rules out ({ tweet, decision })
+// so a dry run can report those too
+function buildArchiveWorklist(tweets) {
+  const counts = { delete: 0, protect: 0, "too-old": 0, excluded: 0, filtered: 0 };
+  const worklist = [];
+  const kept = [];
+
+  // KEEP_LATEST in the archive keeps your newest N posts and newest N replies
+  const latestIds = new Set();
+  if (KEEP_LATEST > 0) {
+    for (const isReply of [false, true]) {
+      tweets.filter(tweet => !tweet.isRetweet && tweet.isReply === isReply)
+        .sort((a, b) => b.date - a.date)
+        .slice(0, KEEP_LATEST)
+        .forEach(tweet => latestIds.add(tweet.id));
+    }
+  }
+
+  for (const tweet of tweets) {
+    // Quote replies are replies. The archive marks a quote only by the quoted tweet's URL, so any tweet linking a status counts
+    const included = tweet.isRetweet
+      ? HANDLE_REPOSTS
+      : tweet.isReply ? INCLUDE_REPLIES
+      : tweet.media.includes("quote") ? INCLUDE_QUOTES : INCLUDE_POSTS;
+    if (!included) {
+      counts.excluded++;
+      kept.push({ tweet, decision: "excluded-type" });
+      continue;
+    }
+
+    let decision = KEEP_LATEST > 0 && !tweet.isRetweet
+      ? (latestIds.has(tweet.id) ? "protect-latest" : "delete")
+      : decideByDate(tweet.date);
+    if (protectedStatusReason(tweet.id)) decision = "protect-list";
+    if (decision === "delete") {
+      const contentCheck = checkContentFilters(tweet.content);
+      if (contentCheck.decision !== "pass") decision = contentCheck.decision === "exclude" ? "protect-content" : "not-included";
+    }
+    if (decision === "delete" && !matchesMediaFilter(tweet.media)) decision = "other-media";
+    if (decision === "delete" && tweet.isRetweet && hasRepostAuthorFilters()) {
+      const repostCheck = checkHandleLists(tweet.repostOf ? [tweet.repostOf] : [], REPOSTS_OF, KEEP_REPOSTS_OF);
+      if (repostCheck.decision === "protect") decision = "protect-repost-author";
+      if (repostCheck.decision === "other-target") decision = "other-repost-author";
+    }
+    if (decision === "delete" && tweet.isReply && hasReplyTargetFilters()) {
+      const replyCheck = checkReplyTargets(tweet.replyTo ? [tweet.replyTo] : []);
+      if (replyCheck.decision === "protect") decision = "protect-reply-target";
+      if (replyCheck.decision === "other-target") decision = "other-reply-target";
+    }
+    if (decision === "delete" && hasEngagementThresholds() && engagementProtectReason(tweet.engagement)) {
+      decision = "protect-engagement";
+    }
+
+    if (decision === "delete") {
+      counts.delete++;
+      worklist.push(tweet);
+      continue;
+    }
+    if (decision === "too-old") counts["too-old"]++;
+    else if (decision.startsWith("protect") && decision !== "protect-content") counts.protect++;
+    else counts.filtered++;
+    kept.push({ tweet, decision });
+  }
+
+  log("info", `Archive: ${tweets.length} tweets, ${counts.delete} in range, ${counts.protect} protected, ${counts["too-old"]} too old, ${counts.excluded} excluded by type, ${counts.filtered} kept by content, media, reply or repost filters`);
+  return { worklist, kept };
+}
+
+function archiveCandidate(item) {
+  return { key: `/${PROFILE_HANDLE}/status/${item.id}`, date: item.date, preview: item.preview, tab: "Archive", isRetweet: item.isRetweet, media: item.media };
+}
+
+// Open a status permalink and return the card for that tweet (null if it no longer exists)
+async function openStatusCard(page, item) {
+  await page.goto(`https://x.com/${PROFILE_HANDLE}/status/${item.id}`, { waitUntil: "domcontentloaded", timeout: 60000 });
+  await pauseAllVideos(page);
+  await page.waitForSelector(sel("tweet"), { timeout: 15000 }).catch(() => {});
+  await pauseAllVideos(page);
+  await dismissPopups(page);
+
+  const own = allCards(page).filter({ has: page.locator(`a[href$="/status/${item.id}"]`) }).first();
+  if (await withTimeout(own.count(), 2000, 0) > 0) return own;
+
+  // Repost permalinks resolve to the original tweet, which is the focal card
+  if (item.isRetweet) {
+    const focal = allCards(page).first();
+    if (await withTimeout(focal.count(), 2000, 0) > 0) return focal;
+  }
+  return null;
+}
+
+// Neither the archive nor search results mark the pinned tweet, so read it off the top of the profile
+async function detectPinnedTweet(page) {
+  await gotoProfileTab(page, "Posts");
+  await page.waitForSelector(sel("tweet"), { timeout: 15000 }).catch(() => {});
+  const cards = allCards(page);
+  const n = Math.min(await withTimeout(cards.count(), 3000, 0), 3);
+  for (let i = 0; i < n; i++) {
+    const card = cards.nth(i);
+    if (!(await isPinnedCard(card))) continue;
+    const statusId = parseStatusId(await statusKey(card));
+    if (statusId) {
+      PINNED_IDS.add(statusId);
+      log("info", `Pinned tweet detected (${statusId})`);
+    }
+  }
+}
+
+async function processArchive(page, { worklist, kept }, removed) {
+  console.log("");
+  log("tab", chalk.magenta.bold(`Processing archive (${worklist.length} tweets in range)`));
+  log("info", KEEP_LATEST > 0 ? `KEEP your newest ${KEEP_LATEST} posts and ${KEEP_LATEST} replies, DELETE everything older` : describeDateWindow());
+
+  await detectPinnedTweet(page);
+
+  // Tweets the archive already ruled out go to the dry-run report only; the ledger keeps what was looked at on X
+  for (const { tweet, decision } of kept) recordCandidate({ ...archiveCandidate(tweet), decision });
+
+  const rhythmState = { nextLongPauseAt: removed.count + rand(28, 60) };
+
+  for (const item of worklist) {
+    if (isAborted() || removed.count >= TARGET) break;
+
+    const dateStr = formatDate(item.date);
+    const candidate = archiveCandidate(item);
+    const decision = item.isRetweet ? "unrepost" : "delete";
+    if (PINNED_IDS.has(item.id)) {
+      log("protect", chalk.green(`${dateStr} Protected (pinned)`), chalk.gray(`"${item.preview}"`));
+      recordDecision({ ...candidate, decision: "protect-pinned" });
+      continue;
+    }
+    log("delete", chalk.red(`${dateStr}${describeMedia(item.media)} → DELETE`), chalk.gray(`"${item.preview}"`));
+
+    if (DRY_RUN) {
+      // Archive entries are already known to be ours and in range - no need to open them
+      recordDecision({ ...candidate, decision, result: "dry-run" });
+      removed.count++;
+      emitEvent("candidate", { count: removed.count });
+      updateProgress(removed.count, "Archive", TARGET);
+      continue;
+    }
+
+    let attempts = 0;
+    while (!isAborted()) {
+      if (await backOffIfRateLimited(page)) continue;
+      let res = { ok: false, reason: "not-tried" };
+      let reasons = [];
+      let throttled = false;
+      try {
+        const card = await openStatusCard(page, item);
+        if (!card) {
+          log("skip", chalk.gray(`${dateStr} Not found on X, skipping`), chalk.gray(`"${item.preview}"`));
+          recordDecision({ ...candidate, decision: "not-found" });
+          break;
+        }
+
+        // Cross-check the live card so a stale archive can never delete a protected tweet
+        // (count retention already picked this tweet by age rank, not by the date window)
+        const dateCheck = KEEP_LATEST > 0 && !item.isRetweet ? { decision: "delete" } : await shouldDeleteByDate(card);
+        if (dateCheck.decision === "protect" || dateCheck.decision === "too-old") {
+          log("protect", chalk.green(`${dateCheck.dateStr} Protected (date on X differs from archive)`), chalk.gray(`"${item.preview}"`));
+          recordDecision({ ...candidate, decision: "protect" });
+          break;
+        }
+
+        // Live counts may have grown since the archive was exported
+        const engagement = hasEngagementThresholds() ? await getEngagementCounts(card) : null;
+        const protectReason = engagement && engagementProtectReason(engagement);
+        if (protectReason) {
+          log("protect", chalk.green(`${dateStr} Protected (${protectReason})`), chalk.gray(`"${item.preview}"`));
+          recordDecision({ ...candidate, decision: "protect-engagement" });
+          break;
+        }
+
+        if (!(await backupTweet(card, candidate, item.isRetweet))) {
+          log("warn", "Not deleting: backup could not be written", `"${item.preview}"`);
+          recordDecision({ ...candidate, decision, result: "backup-failed" });
+          break;
+        }
+
+        ({ res, reasons } = await performCardAction(page, card, item.isRetweet, "Archive", candidate.key));
+        throttled = !res.ok && await backOffIfRateLimited(page);
+        recordDecision({ ...candidate, decision, result: throttled ? "rate-limited" : res.reason, removed: res.ok });
+      } catch (e) {
+        log("error", "Delete failed (continuing)", e?.message || e);
+        recordDecision({ ...candidate, decision, result: "exception" });
+        reasons = ["exception"];
+      }
+
+      if (throttled) continue;  // Same tweet again after the pause, without using a retry
+      if (res.ok) {
+        noteActionSucceeded();
+        removed.count++;
+        emitEvent("deleted", { count: removed.count });
+        updateProgress(removed.count, "Archive", TARGET);
+
+        // Rate limit protection
+        if (removed.count % 100 === 0) {
+          log("info", `${removed.count} deleted. Brief pause...`);
+          await page.waitForTimeout(3000);
+        }
+        break;
+      }
+
+      const retryable = reasons.some(reason => reason === "exception" || RETRYABLE_ACTION_REASONS.has(reason));
+      if (retryable) noteSpeedOutcome(true);
+      if (!retryable || attempts >= MAX_ACTION_RETRIES) break;
+      attempts++;
+      log("info", `Retrying action failure (${reasons[0]}) (${attempts}/${MAX_ACTION_RETRIES})`);
+    }
+
+    await pauseLikeHuman(page, removed.count, rhythmState);
+  }
 }
 
 async function run() {
   const startTime = Date.now();
 
   printHeader();
-  printConfig({
+  if (!SELECTOR_CHECK) printConfig({
     handle: PROFILE_HANDLE,
     target: TARGET,
     deleteMonth: DELETE_MONTH,
     deleteYear: DELETE_YEAR,
     protectMonth: PROTECT_MONTH,
     protectYear: PROTECT_YEAR,
+    deleteStart: DELETE_START,
+    deleteEnd: DELETE_END,
+    timezone: TIMEZONE,
+    rolling: isRollingWindow(),
+    keepLatest: KEEP_LATEST,
     posts: INCLUDE_POSTS,
     replies: INCLUDE_REPLIES,
+    quotes: INCLUDE_QUOTES,
+    repliesTo: REPLIES_TO,
+    protectRepliesTo: PROTECT_REPLIES_TO,
     reposts: HANDLE_REPOSTS,
-    speed: SPEED
+    repostsOf: REPOSTS_OF,
+    keepRepostsOf: KEEP_REPOSTS_OF,
+    mediaFilter: MEDIA_FILTER,
+    likes: INCLUDE_LIKES,
+    likesDateFilter: LIKES_DATE_FILTER,
+    bookmarks: INCLUDE_BOOKMARKS,
+    bookmarksDateFilter: BOOKMARKS_DATE_FILTER,
+    speed: SPEED,
+    adaptiveSpeed: ADAPTIVE_SPEED,
+    archive: ARCHIVE_PATH,
+    search: SEARCH_MODE,
+    dryRun: DRY_RUN
   });
 
+  const packInfo = loadSelectorPack(SELECTOR_PACK_PATH);
+  if (packInfo.overridden.length > 0) {
+    log("info", `Selector pack ${packInfo.version} from ${packInfo.source} overrides ${packInfo.overridden.join(", ")}`);
+  }
+
+  PROTECTED_IDS = loadProtectList(PROTECT_IDS);
+  PINNED_IDS = new Set();
+  LATEST_KEPT = new Map();
+  backedUpKeys = new Set();
+  if (PROTECTED_IDS.size > 0) {
+    log("info", `${PROTECTED_IDS.size} tweet(s) on the protect list will never be deleted`);
+  }
+
+  // Parse the archive before launching a browser so a bad path fails fast
+  let archive = null;
+  if (ARCHIVE_PATH && !SELECTOR_CHECK) {
+    log("info", `Reading X archive: ${ARCHIVE_PATH}`);
+    archive = buildArchiveWorklist(loadArchiveTweets(ARCHIVE_PATH));
+  }
+
   const launchSpinner = ora({
     text: chalk.cyan('Checking for browser...'),
     spinner: 'dots12'
@@ -1610,6 +3742,8 @@ async function run() {
     log("info", "Please install Edge or Chrome and try again.");
     log("info", "Download Edge: https://www.microsoft.com/edge");
     log("info", "Download Chrome: https://www.google.com/chrome");
+    emitEvent("finished", { outcome: "failed", error: "No supported browser found" });
+    if (IS_CLI) process.exitCode = 1;
     return;
   }
 
@@ -1707,53 +3841,106 @@ async function run() {
 
   launchSpinner.succeed(chalk.green('Browser ready'));
 
-  const loggedIn = await ensureLoggedIn(page, context);
-  if (!loggedIn) {
-    log("error", "Login required! Cannot proceed without authentication.");
-    if (browser) await browser.close();
-    else await context.close();
-    throw new Error("Login required - please log in to X/Twitter first");
-  }
+  // A run that throws or is stopped part-way still closes its ledger run, report and browser
+  const removed = { count: 0 };
+  let loggedIn = false;
+  try {
+    if (!abortController) abortController = new AbortController();  // CLI runs can still be stopped by the rate-limit ceiling
+    watchRateLimits(context);
+    watchTimelineResponses(context);
+    resetSpeedController();
+
+    loggedIn = await ensureLoggedIn(page, context);
+    if (!loggedIn) {
+      log("error", "Login required! Cannot proceed without authentication.");
+      throw new Error("Login required - please log in to X/Twitter first");
+    }
 
-  const tabs = [];
-  // Process Replies FIRST - old tweets are usually on /with_replies page
-  if (INCLUDE_REPLIES) tabs.push("Replies");
-  if (INCLUDE_POSTS) tabs.push("Posts");
-  if (tabs.length === 0 && HANDLE_REPOSTS) {
-    // Reposts live on the profile timeline; use Posts tab when repost-only mode is selected.
-    tabs.push("Posts");
-    log("info", "Reposts-only mode: scanning profile timeline for reposts");
-  }
+    await detectUiLocale(page);
 
-  if (tabs.length === 0) {
-    log("warn", chalk.yellow("Nothing to do - both Posts and Replies are disabled"));
-    if (browser) await browser.close();
-    else await context.close();
-    return;
-  }
+    if (SELECTOR_CHECK) {
+      const results = await checkSelectorHealth(page);
+      printSelectorHealth(results);
+      const missing = results.filter(r => r.status === "missing").map(r => r.name);
+      if (missing.length > 0) log("warn", `${missing.length} selector(s) matched nothing: ${missing.join(", ")}`);
+      else log("success", "Every checked selector matched");
+      return 0;
+    }
 
-  const removed = { count: 0 };
+    const tabs = [];
+    // Archive mode visits status permalinks directly, so profile tabs are only scrolled without one
+    if (!archive) {
+      // Process Replies FIRST - old tweets are usually on /with_replies page
+      if (INCLUDE_REPLIES) tabs.push("Replies");
+      if (INCLUDE_POSTS || INCLUDE_QUOTES) tabs.push("Posts");
+      if (tabs.length === 0 && HANDLE_REPOSTS) {
+        // Reposts live on the profile timeline; use Posts tab when repost-only mode is selected.
+        tabs.push("Posts");
+        log("info", "Reposts-only mode: scanning profile timeline for reposts");
+      }
+    }
+    // The archive doesn't drive likes or bookmarks, so those tabs are always scrolled
+    if (INCLUDE_LIKES) tabs.push("Likes");
+    if (INCLUDE_BOOKMARKS) tabs.push("Bookmarks");
 
-  // Create progress bar
-  console.log("");
-  createProgressBar(TARGET);
+    if (!archive && tabs.length === 0) {
+      log("warn", chalk.yellow("Nothing to do - Posts, Replies, Likes and Bookmarks are all disabled"));
+      return;
+    }
 
-  for (const tab of tabs) {
-    if (removed.count >= TARGET) break;
-    await processTab(page, tab, removed, startTime);
-  }
+    if (DRY_RUN) startDryRunReport();
+    else loadCheckpoint();
+    startLedgerRun();
+
+    // Create progress bar
+    console.log("");
+    createProgressBar(TARGET);
+
+    if (archive) {
+      await processArchive(page, archive, removed);
+    }
+
+    // Count retention has to see the newest tweets first, which only the profile timeline shows
+    const useSearch = SEARCH_MODE && !archive && KEEP_LATEST === 0 && (INCLUDE_POSTS || INCLUDE_QUOTES || INCLUDE_REPLIES);
+    if (SEARCH_MODE && KEEP_LATEST > 0) log("warn", "Search mode is ignored with KEEP_LATEST - scrolling the profile instead");
+    if (useSearch) await detectPinnedTweet(page);
 
-  stopProgress();
+    for (const tab of tabs) {
+      if (removed.count >= TARGET) break;
+      const searchable = useSearch && ((tab === "Posts" && (INCLUDE_POSTS || INCLUDE_QUOTES)) || (tab === "Replies" && INCLUDE_REPLIES));
+      if (searchable) await processSearch(page, tab, removed, startTime);
+      else await processTab(page, tab, removed, startTime);
+    }
 
-  // Save session for this specific handle
-  try { await context.storageState({ path: getStoragePath(PROFILE_HANDLE) }); } catch {}
-  if (browser) await browser.close();
-  else await context.close();
+    // Search never returns reposts, so those still come from the profile timeline
+    if (useSearch && HANDLE_REPOSTS && removed.count < TARGET && !isAborted()) {
+      log("info", "Search results leave out reposts - scanning the profile timeline for them");
+      await processTab(page, "Posts", removed, startTime);
+    }
+  } finally {
+    stopProgress();
+    finishDryRunReport();
+    finishLedgerRun();
+    // Save session for this specific handle
+    if (loggedIn) try { await context.storageState({ path: getStoragePath(PROFILE_HANDLE) }); } catch {}
+    if (browser) await browser.close().catch(() => {});
+    else await context.close().catch(() => {});
+  }
 
+  if (timelineIndex.hits + timelineIndex.misses > 0) {
+    log("info", `Timeline data: ${timelineIndex.hits} tweet(s) checked from X's API, ${timelineIndex.misses} from the page`);
+  }
   printSummary(removed.count, TARGET, startTime);
+  emitEvent("finished", {
+    outcome: rateLimit.stopped ? "failed" : "success",
+    count: removed.count,
+    ...(rateLimit.stopped ? { error: "Stopped early - still rate limited" } : {})
+  });
 
   if (removed.count >= TARGET) {
     console.log(chalk.green.bold('  🎉 Target reached! All done.\n'));
+  } else if (rateLimit.stopped) {
+    console.log(chalk.yellow(`  ⚠ Stopped early - X kept rate limiting past the ${RATE_LIMIT_CEILING_MIN} min ceiling. Try again later.\n`));
   } else {
     console.log(chalk.cyan('  ℹ Finished - no more matching tweets found\n'));
   }
@@ -1762,14 +3949,140 @@ async function run() {
   return removed.count;
 }
 
-// Wait for keypress before exiting
+// Wait for keypress before exiting; spawned runs (scheduler, app) have no terminal to read from
 async function waitForExit(message = 'Press Enter to exit...') {
-  if (!IS_CLI) return;
+  if (!IS_CLI || !process.stdin.isTTY) return;
   console.log(chalk.gray(`  ${message}`));
   process.stdin.resume();
   await new Promise(res => process.stdin.once('data', res));
 }
 
+// `node index.js ledger [handle] [--action=delete] [--run=<id>] [--since=2026-01-01] [--removed] [--limit=50] [--json]`
+function printLedger(args) {
+  const options = { limit: 50 };
+  let asJson = false;
+  for (const arg of args) {
+    const [flag, value] = arg.split("=");
+    if (flag === "--json") asJson = true;
+    else if (flag === "--removed") options.removedOnly = true;
+    else if (flag === "--action") options.action = value;
+    else if (flag === "--run") options.runId = value;
+    else if (flag === "--limit") options.limit = parseInt(value, 10) || 50;
+    else if (flag === "--since") {
+      options.since = new Date(value).getTime();
+      if (Number.isNaN(options.since)) throw new Error(`Invalid --since date: ${value}`);
+    } else if (!flag.startsWith("--")) {
+      options.handle = normalizeHandle(flag);
+      if (!options.handle) throw new Error(`Invalid handle: ${flag}`);
+    } else {
+      throw new Error(`Unknown ledger option: ${flag}`);
+    }
+  }
+
+  const db = ledger.openLedger(getDataDir());
+  let rows;
+  try {
+    rows = ledger.queryDecisions(db, options);
+  } finally {
+    db.close();
+  }
+
+  if (asJson) {
+    for (const row of rows) console.log(JSON.stringify(row));
+    return;
+  }
+  for (const row of rows) {
+    const color = row.removed ? chalk.red : row.action === "keep" ? chalk.green : chalk.gray;
+    console.log(
+      `${chalk.gray(new Date(row.created_at).toLocaleString())}  ${color(row.action.padEnd(10))} ${String(row.reason || "").padEnd(22)} ` +
+      `${row.status_key || "-"}${row.media ? chalk.cyan(` [${row.media}]`) : ""}  ${chalk.gray(row.preview || "")}${row.dry_run ? chalk.yellow(" (dry run)") : ""}`
+    );
+  }
+  log("info", `${rows.length} ledger row(s) from ${ledger.getLedgerPath(getDataDir())}`);
+}
+
+// `node index.js schedule [handle] [--cron="0 3 * * *"] [--catch-up=once|skip] [--status]`
+// Re-runs this script on the cadence with the environment the scheduler was started with.
+async function runSchedule(args) {
+  const options = {
+    cron: process.env.DMT_SCHEDULE ?? process.env.SCHEDULE ?? "@nightly",
+    catchUp: process.env.DMT_SCHEDULE_CATCH_UP ?? process.env.SCHEDULE_CATCH_UP,
+    handle: normalizeHandle(process.env.DMT_HANDLE || process.env.PROFILE_HANDLE || savedConfig.handle || "")
+  };
+  let statusOnly = false;
+  for (const arg of args) {
+    const [flag, ...rest] = arg.split("=");
+    const value = rest.join("=");
+    if (flag === "--cron") options.cron = value;
+    else if (flag === "--catch-up") options.catchUp = value;
+    else if (flag === "--status") statusOnly = true;
+    else if (!flag.startsWith("--")) {
+      options.handle = normalizeHandle(flag);
+      if (!options.handle) throw new Error(`Invalid handle: ${flag}`);
+    } else {
+      throw new Error(`Unknown schedule option: ${flag}`);
+    }
+  }
+
+  if (!options.handle) throw new Error("A handle is required: node index.js schedule <your_handle>");
+  const dataDir = getDataDir();
+  if (statusOnly) {
+    const next = schedule.nextRun(schedule.parseSchedule(options.cron));
+    log("info", `Schedule ${options.cron}: next run ${next ? next.toLocaleString() : "never"}`);
+    for (const entry of schedule.loadScheduleState(dataDir, options.handle).runs.slice(-10)) {
+      const color = entry.outcome === "success" ? chalk.green : entry.outcome === "missed" ? chalk.gray : chalk.red;
+      console.log(
+        `${chalk.gray(new Date(entry.scheduledFor).toLocaleString())}  ${color(entry.outcome.padEnd(8))}` +
+        `${entry.catchUp ? " (catch-up)" : ""}${entry.error ? chalk.gray(`  ${entry.error}`) : ""}`
+      );
+    }
+    return;
+  }
+  if (!isSessionValid(options.handle)) {
+    log("warn", `No saved session for @${options.handle} - scheduled runs will wait for a login`);
+  }
+
+  const { spawn } = require("child_process");
+  const scheduler = schedule.createScheduler({
+    dataDir,
+    handle: options.handle,
+    cron: options.cron,
+    catchUp: options.catchUp,
+    onLog: (type, message) => log(type, message),
+    run: () => new Promise(resolve => {
+      // Without a terminal on stdin the child skips "Press Enter to exit" and its exit code is the outcome
+      const child = spawn(process.execPath, [__filename], {
+        env: { ...process.env, DMT_HANDLE: options.handle, DMT_UNATTENDED: "true" },
+        stdio: ["ignore", "inherit", "inherit"]
+      });
+      // A hung run would otherwise hold the scheduler's single slot forever
+      let timedOut = false;
+      const timer = setTimeout(() => { timedOut = true; child.kill("SIGTERM"); }, schedule.RUN_TIMEOUT_MS);
+      child.on("error", err => { clearTimeout(timer); resolve({ outcome: "failed", error: err.message }); });
+      child.on("close", code => {
+        clearTimeout(timer);
+        resolve({
+          outcome: code === 0 && !timedOut ? "success" : "failed",
+          exitCode: code,
+          ...(timedOut ? { error: `Timed out after ${schedule.RUN_TIMEOUT_MS / 3600000} h` } : {})
+        });
+      });
+    })
+  });
+
+  const stop = () => {
+    scheduler.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  scheduler.start();
+  const { nextRunAt, catchUp } = scheduler.status();
+  log("success", `Scheduler running for @${options.handle} (${options.cron}, catch-up: ${catchUp}). Press Ctrl+C to stop.`);
+  log("info", `Next run: ${nextRunAt ? new Date(nextRunAt).toLocaleString() : "never"}`);
+}
+
 /**
  * Run cleanup with config object (for Electron/programmatic use)
  * @param {Object} config - Configuration object
@@ -1779,11 +4092,41 @@ async function waitForExit(message = 'Press Enter to exit...') {
  * @param {number} config.deleteYear - Delete tweets before this year
  * @param {number} config.protectMonth - Protect tweets after this month (1-12)
  * @param {number} config.protectYear - Protect tweets after this year
+ * @param {string} [config.deleteStart] - Exact start "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM" (overrides deleteMonth/deleteYear)
+ * @param {string} [config.deleteEnd] - Exact end, same format; a bare date includes that whole day (overrides protectMonth/protectYear)
+ * @param {string} [config.timezone] - IANA timezone the date bounds are read in (default: this machine's zone)
+ * @param {number} [config.keepLastDays] - Rolling retention: keep the last N days, delete everything older (month/year bounds ignored)
+ * @param {number} [config.keepLastMonths] - Rolling retention in calendar months
+ * @param {number} [config.keepLatest] - Keep your newest N tweets per tab and delete the rest, regardless of date
  * @param {boolean} config.posts - Include regular posts
  * @param {boolean} config.replies - Include replies
+ * @param {boolean} [config.quotes] - Include your quote tweets that aren't replies (default: same as posts)
  * @param {boolean} config.reposts - Include reposts/retweets
+ * @param {boolean} [config.likes] - Unlike tweets on the Likes tab
+ * @param {string} [config.likesDateFilter] - "tweet" (filter likes by the liked tweet's date) or "none"
+ * @param {boolean} [config.bookmarks] - Remove bookmarks
+ * @param {string} [config.bookmarksDateFilter] - "tweet" or "none", as for likes
+ * @param {string|string[]} [config.bookmarkAuthors] - Only remove bookmarks of tweets by these handles
+ * @param {string|string[]} [config.repliesTo] - Only delete your replies to these handles
+ * @param {string|string[]} [config.protectRepliesTo] - Never delete your replies to these handles
+ * @param {string|string[]} [config.repostsOf] - Only undo reposts of tweets by these handles
+ * @param {string|string[]} [config.keepRepostsOf] - Never undo reposts of tweets by these handles
+ * @param {boolean} [config.resume] - Continue from the last checkpoint (default true)
+ * @param {boolean} [config.backup] - Back up each tweet before deleting it (default true)
+ * @param {boolean} [config.backupScreenshots] - Include a screenshot of each card in the backup
  * @param {string} config.speed - Speed preset: 'aggressive', 'normal', 'conservative'
+ * @param {boolean} [config.adaptiveSpeed] - Adjust delays from the preset as failure rates change (default true)
+ * @param {number} [config.rateLimitCeiling] - Longest rate-limit backoff in minutes before the run stops (default 30)
  * @param {boolean} config.headless - Run browser in headless mode
+ * @param {string} [config.archivePath] - Unzipped X archive folder (or tweets.js) to drive deletions by status ID
+ * @param {string} [config.selectorPack] - Selector pack override file (default: deletemytweets_selectors.json in the data folder)
+ * @param {boolean} [config.dryRun] - Report candidates without deleting or un-reposting anything
+ * @param {boolean} [config.searchMode] - Find posts and replies through X search, one date window at a time
+ * @param {string|string[]} [config.includeFilters] - Only delete tweets matching one of these rules (#tag, @user, domain:x.com, /regex/, keyword)
+ * @param {string|string[]} [config.excludeFilters] - Never delete tweets matching any of these rules
+ * @param {string|string[]} [config.mediaFilter] - Only delete tweets carrying one of these: photo, video, gif, poll, link, quote, text (text = none of the others)
+ * @param {string[]} [config.protectIds] - Status IDs or URLs to never delete (added to deletemytweets_protected.json)
+ * @param {Object} [config.protectEngagement] - Keep tweets above any threshold: { likes, reposts, replies, views } (0 = off)
  * @param {Object} callbacks - Callback functions
  * @param {Function} callbacks.onProgress - Progress callback: ({current, total, tab}) => void
  * @param {Function} callbacks.onLog - Log callback: ({type, message}) => void
@@ -1804,17 +4147,47 @@ async function runCleanup(config, callbacks = {}) {
   DELETE_YEAR = config.deleteYear || 2014;
   PROTECT_MONTH = config.protectMonth || 1;
   PROTECT_YEAR = config.protectYear || 2025;
+  KEEP_LAST_DAYS = parseRetentionCount(config.keepLastDays);
+  KEEP_LAST_MONTHS = parseRetentionCount(config.keepLastMonths);
+  DELETE_START = config.deleteStart || null;
+  DELETE_END = config.deleteEnd || null;
+  TIMEZONE = parseTimezone(config.timezone);
+  KEEP_LATEST = parseRetentionCount(config.keepLatest);
+  RATE_LIMIT_CEILING_MIN = parseRateLimitCeiling(config.rateLimitCeiling);
   INCLUDE_POSTS = config.posts !== false;
   INCLUDE_REPLIES = config.replies !== false;
+  INCLUDE_QUOTES = config.quotes === undefined ? INCLUDE_POSTS : config.quotes !== false;
   HANDLE_REPOSTS = config.reposts === true;
+  INCLUDE_LIKES = config.likes === true;
+  LIKES_DATE_FILTER = parseDateFilterMode(config.likesDateFilter);
+  INCLUDE_BOOKMARKS = config.bookmarks === true;
+  BOOKMARKS_DATE_FILTER = parseDateFilterMode(config.bookmarksDateFilter);
+  BOOKMARK_AUTHORS = parseHandleList(config.bookmarkAuthors);
+  REPLIES_TO = parseHandleList(config.repliesTo);
+  PROTECT_REPLIES_TO = parseHandleList(config.protectRepliesTo);
+  REPOSTS_OF = parseHandleList(config.repostsOf);
+  KEEP_REPOSTS_OF = parseHandleList(config.keepRepostsOf);
+  RESUME = config.resume !== false;
+  BACKUP = config.backup !== false;
+  BACKUP_SCREENSHOTS = config.backupScreenshots === true;
   SPEED = config.speed || 'normal';
   HEADLESS = config.headless === true; // Only headless if explicitly set - default to showing browser for login
   PRIVATE_MODE = config.privateMode === true; // Use fresh browser instead of Edge profile
+  ARCHIVE_PATH = config.archivePath || null;
+  SELECTOR_PACK_PATH = config.selectorPack || null;
+  DRY_RUN = config.dryRun === true;
+  SEARCH_MODE = config.searchMode === true;
+  INCLUDE_RULES = parseContentRules(config.includeFilters);
+  EXCLUDE_RULES = parseContentRules(config.excludeFilters);
+  MEDIA_FILTER = parseMediaFilter(config.mediaFilter);
+  ENGAGEMENT_THRESHOLDS = parseEngagementThresholds(config.protectEngagement);
+  PROTECT_IDS = splitIdList(config.protectIds);
 
   // Set delays based on speed
   const delays = SPEED_PRESETS[SPEED] || SPEED_PRESETS.normal;
   MIN_DELAY_MS = delays.min;
   MAX_DELAY_MS = delays.max;
+  ADAPTIVE_SPEED = config.adaptiveSpeed !== false;
   applyRetryPreset(SPEED, {
     unknownDate: config.unknownDateRetries,
     ownership: config.ownershipRetries,
@@ -1822,8 +4195,7 @@ async function runCleanup(config, callbacks = {}) {
   });
 
   // Set date boundaries
-  DELETE_BEFORE = new Date(DELETE_YEAR, DELETE_MONTH - 1, 1);
-  PROTECT_AFTER = new Date(PROTECT_YEAR, PROTECT_MONTH - 1, 1);
+  resolveDateWindow();
 
   // Create fresh abort controller for this run
   abortController = new AbortController();
@@ -1863,15 +4235,41 @@ async function runCleanup(config, callbacks = {}) {
 module.exports = { run, runCleanup, abortCleanup };
 
 // Run if called directly (CLI mode)
-if (require.main === module) {
+if (require.main === module && process.argv[2] === "ledger") {
+  try {
+    printLedger(process.argv.slice(3));
+  } catch (err) {
+    log("error", err?.message || String(err));
+    process.exit(1);
+  }
+} else if (require.main === module && process.argv[2] === "schedule") {
+  runSchedule(process.argv.slice(3)).catch(err => {
+    log("error", err?.message || String(err));
+    process.exit(1);
+  });
+} else if (require.main === module && process.argv[2] === "selectors") {
+  // `node index.js selectors [handle]` - the handle is read from argv[2] like a normal run
+  process.argv.splice(2, 1);
+  parseEnvConfig();
+  SELECTOR_CHECK = true;
+  run()
+    .then(() => waitForExit())
+    .catch(err => {
+      log("error", err?.message || String(err));
+      process.exit(1);
+    });
+} else if (require.main === module) {
   // Parse config from environment/command line
   parseEnvConfig();
 
   run()
     .then(async () => {
       await waitForExit();
+      // A rate-limit stop is a failed run as far as the scheduler is concerned
+      if (rateLimit.stopped) process.exitCode = 1;
     })
     .catch(async (err) => {
+    emitEvent("finished", { outcome: "failed", error: err?.message || String(err) });
     console.log("");
     const errorBox = boxen(
       chalk.red.bold('FATAL ERROR\n\n') +
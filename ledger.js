@@ -0,0 +1,167 @@
+// Deletion ledger - local SQLite record of every decision made during a run.
+// Written by index.js, read by electron-main.js (History tab) and `node index.js ledger`.
+
+const path = require("path");
+const crypto = require("crypto");
+
+const LEDGER_FILE = "deletemytweets_ledger.db";
+
+// Actions that remove something from the account; everything else is "keep" or "skip"
+const REMOVAL_ACTIONS = ["delete", "unrepost", "unlike", "unbookmark"];
+
+function getLedgerPath(dataDir) {
+  return path.resolve(dataDir, LEDGER_FILE);
+}
+
+function openLedger(dataDir) {
+  // Required lazily so a missing native build only disables the ledger
+  const Database = require("better-sqlite3");
+  const db = new Database(getLedgerPath(dataDir));
+  // WAL lets the GUI read history while a cleanup process is writing
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS runs (
+      id TEXT PRIMARY KEY,
+      handle TEXT NOT NULL,
+      started_at INTEGER NOT NULL,
+      finished_at INTEGER,
+      dry_run INTEGER NOT NULL DEFAULT 0,
+      source TEXT,
+      removed INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS decisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id TEXT NOT NULL REFERENCES runs(id),
+      handle TEXT NOT NULL,
+      status_key TEXT,
+      tweet_date TEXT,
+      preview TEXT,
+      tab TEXT,
+      media TEXT,
+      action TEXT NOT NULL,
+      reason TEXT,
+      removed INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS decisions_handle_time ON decisions (handle, created_at);
+    CREATE INDEX IF NOT EXISTS decisions_run ON decisions (run_id);
+  `);
+  // Ledgers written before media classification existed get the column on open
+  const columns = db.prepare("PRAGMA table_info(decisions)").all().map(column => column.name);
+  if (!columns.includes("media")) db.exec("ALTER TABLE decisions ADD COLUMN media TEXT");
+  return db;
+}
+
+function startRun(db, { handle, dryRun = false, source = "timeline" }) {
+  const id = crypto.randomUUID();
+  db.prepare(`
+    INSERT INTO runs (id, handle, started_at, dry_run, source)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(id, handle, Date.now(), dryRun ? 1 : 0, source);
+  return id;
+}
+
+function recordDecision(db, runId, { handle, key, date, preview, tab, media, action, reason, removed = false }) {
+  db.prepare(`
+    INSERT INTO decisions (run_id, handle, status_key, tweet_date, preview, tab, media, action, reason, removed, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    runId,
+    handle,
+    key || null,
+    date ? date.toISOString() : null,
+    preview || null,
+    tab || null,
+    media || null,
+    action,
+    reason || null,
+    removed ? 1 : 0,
+    Date.now()
+  );
+}
+
+function finishRun(db, runId) {
+  db.prepare(`
+    UPDATE runs
+    SET finished_at = ?,
+        removed = (SELECT COUNT(*) FROM decisions WHERE run_id = ? AND removed = 1)
+    WHERE id = ?
+  `).run(Date.now(), runId, runId);
+}
+
+// Counts and recent sessions for the History tab (dry runs excluded)
+function getAccountHistory(db, handle, now = Date.now()) {
+  const todayStart = new Date(now).setHours(0, 0, 0, 0);
+  const counts = db.prepare(`
+    SELECT
+      COUNT(*) AS allTime,
+      SUM(d.created_at >= @todayStart) AS today,
+      SUM(d.created_at >= @hourAgo) AS lastHour,
+      SUM(d.created_at >= @minuteAgo) AS lastMinute
+    FROM decisions d JOIN runs r ON r.id = d.run_id
+    WHERE d.handle = @handle AND d.removed = 1 AND r.dry_run = 0
+  `).get({ handle, todayStart, hourAgo: now - 60 * 60 * 1000, minuteAgo: now - 60 * 1000 });
+
+  // Unfinished runs (still going, or crashed) count their rows so far
+  const sessions = db.prepare(`
+    SELECT r.id, r.started_at AS date,
+      (SELECT COUNT(*) FROM decisions d WHERE d.run_id = r.id AND d.removed = 1) AS deleted,
+      COALESCE(r.finished_at, r.started_at) - r.started_at AS duration
+    FROM runs r
+    WHERE r.handle = ? AND r.dry_run = 0
+    ORDER BY r.started_at DESC
+    LIMIT 50
+  `).all(handle);
+
+  return {
+    allTime: counts.allTime || 0,
+    today: counts.today || 0,
+    lastHour: counts.lastHour || 0,
+    lastMinute: counts.lastMinute || 0,
+    sessions: sessions.map(s => ({ ...s, duration: Math.round(s.duration / 1000) }))
+  };
+}
+
+// Total removed per account, for the account switcher
+function getAccountTotals(db) {
+  return db.prepare(`
+    SELECT d.handle, COUNT(*) AS total
+    FROM decisions d JOIN runs r ON r.id = d.run_id
+    WHERE d.removed = 1 AND r.dry_run = 0
+    GROUP BY d.handle
+  `).all();
+}
+
+// Filtered decision rows, newest first
+function queryDecisions(db, { handle, runId, action, since, removedOnly = false, limit = 100 } = {}) {
+  const where = [];
+  const params = {};
+  if (handle) { where.push("d.handle = @handle"); params.handle = handle; }
+  if (runId) { where.push("d.run_id = @runId"); params.runId = runId; }
+  if (action) { where.push("d.action = @action"); params.action = action; }
+  if (since) { where.push("d.created_at >= @since"); params.since = since; }
+  if (removedOnly) where.push("d.removed = 1");
+  params.limit = limit;
+
+  return db.prepare(`
+    SELECT d.created_at, d.run_id, d.handle, d.status_key, d.tweet_date, d.preview, d.tab, d.media,
+      d.action, d.reason, d.removed, r.dry_run
+    FROM decisions d JOIN runs r ON r.id = d.run_id
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY d.id DESC
+    LIMIT @limit
+  `).all(params);
+}
+
+module.exports = {
+  LEDGER_FILE,
+  REMOVAL_ACTIONS,
+  getLedgerPath,
+  openLedger,
+  startRun,
+  recordDecision,
+  finishRun,
+  getAccountHistory,
+  getAccountTotals,
+  queryDecisions
+};
@@ -67,6 +67,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // ═══════════════════════════════════════════════════════════
   // CLEANUP PROCESS
   // ═══════════════════════════════════════════════════════════
+  selectArchive: () => ipcRenderer.send('select-archive'),
+  onArchiveSelected: (callback) => {
+    ipcRenderer.on('archive-selected', (event, data) => callback(data));
+  },
   startCleanup: (config) => ipcRenderer.send('start-cleanup', config),
   stopCleanup: () => ipcRenderer.send('stop-cleanup'),
   runInTerminal: (config) => ipcRenderer.send('run-in-terminal', config),
@@ -89,6 +93,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('cleanup-complete', () => callback());
   },
 
+  // ═══════════════════════════════════════════════════════════
+  // HISTORY (deletion ledger)
+  // ═══════════════════════════════════════════════════════════
+  getHistory: (handle) => ipcRenderer.send('get-history', handle),
+  onHistoryData: (callback) => {
+    ipcRenderer.on('history-data', (event, data) => callback(data));
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // SCHEDULER
+  // ═══════════════════════════════════════════════════════════
+  getScheduleStatus: () => ipcRenderer.send('get-schedule-status'),
+  onScheduleStatus: (callback) => {
+    ipcRenderer.on('schedule-status', (event, data) => callback(data));
+  },
+
   // ═══════════════════════════════════════════════════════════
   // APP INFO
   // ═══════════════════════════════════════════════════════════
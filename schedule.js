@@ -0,0 +1,259 @@
+// Recurring cleanups - cron-style cadence, catch-up of missed runs and a record of each run's outcome.
+// Shared by the Electron scheduler (electron-main.js) and `node index.js schedule`.
+
+const fs = require("fs");
+const path = require("path");
+
+const SCHEDULE_FILE_PREFIX = "deletemytweets_schedule_";  // + <handle>.json: each account keeps its own state and history
+const CATCH_UP_MODES = ["once", "skip"];  // once = run one catch-up at launch, skip = only record what was missed
+const MAX_HISTORY = 50;
+const TICK_MS = 30 * 1000;
+const MISSED_AFTER_MS = 5 * 60 * 1000;  // An occurrence noticed later than this was missed (machine off or asleep)
+const RUN_TIMEOUT_MS = 12 * 60 * 60 * 1000;  // A run still going after this is stopped and recorded as failed
+
+const PRESETS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@nightly": "0 3 * * *",
+  "@weekly": "0 3 * * 0",
+  "@monthly": "0 3 1 * *"
+};
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }  // 0 and 7 are both Sunday
+];
+
+// One cron field: *, 5, 1-5, */15, 1-30/2 and comma lists of those
+function parseField(raw, { name, min, max }, expr) {
+  const values = new Set();
+  for (const part of raw.split(",")) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid schedule "${expr}": bad ${name} "${part}"`);
+    const start = m[1] === "*" ? min : parseInt(m[2], 10);
+    const end = m[1] === "*" ? max : m[3] !== undefined ? parseInt(m[3], 10) : m[4] ? max : start;
+    const step = m[4] ? parseInt(m[4], 10) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid schedule "${expr}": ${name} must be ${min}-${max}`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+// "0 3 * * *" or a preset like "@nightly"
+function parseSchedule(expr) {
+  const text = String(expr || "").trim().toLowerCase();
+  const resolved = PRESETS[text] || text;
+  const parts = resolved.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid schedule "${expr}": expected 5 fields (minute hour day month weekday) or one of ${Object.keys(PRESETS).join(", ")}`);
+  }
+  const [minute, hour, dom, month, dow] = parts.map((raw, i) => parseField(raw, FIELDS[i], expr));
+  if (dow.has(7)) dow.add(0);
+  return {
+    expr: resolved,
+    minute, hour, dom, month, dow,
+    // Standard cron: when both day fields are restricted, either one matching is enough
+    domAny: parts[2] === "*",
+    dowAny: parts[4] === "*"
+  };
+}
+
+function matchesDay(schedule, day) {
+  if (!schedule.month.has(day.getMonth() + 1)) return false;
+  const domHit = schedule.dom.has(day.getDate());
+  const dowHit = schedule.dow.has(day.getDay());
+  if (schedule.domAny && schedule.dowAny) return true;
+  if (schedule.domAny) return dowHit;
+  if (schedule.dowAny) return domHit;
+  return domHit || dowHit;
+}
+
+const sortedAsc = set => [...set].sort((a, b) => a - b);
+const MAX_DAYS = 5 * 366;  // Covers "Feb 29 only"-style schedules
+
+// First occurrence strictly after `after`, or null
+function nextRun(schedule, after = new Date()) {
+  const from = new Date(after.getFullYear(), after.getMonth(), after.getDate(), after.getHours(), after.getMinutes() + 1);
+  const hours = sortedAsc(schedule.hour);
+  const minutes = sortedAsc(schedule.minute);
+  for (let d = 0; d < MAX_DAYS; d++) {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + d);
+    if (!matchesDay(schedule, day)) continue;
+    for (const h of hours) {
+      for (const m of minutes) {
+        const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m);
+        if (at >= from) return at;
+      }
+    }
+  }
+  return null;
+}
+
+// Latest occurrence at or before `before`, or null
+function previousRun(schedule, before = new Date()) {
+  const hours = sortedAsc(schedule.hour).reverse();
+  const minutes = sortedAsc(schedule.minute).reverse();
+  for (let d = 0; d < MAX_DAYS; d++) {
+    const day = new Date(before.getFullYear(), before.getMonth(), before.getDate() - d);
+    if (!matchesDay(schedule, day)) continue;
+    for (const h of hours) {
+      for (const m of minutes) {
+        const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m);
+        if (at <= before) return at;
+      }
+    }
+  }
+  return null;
+}
+
+function parseCatchUp(value) {
+  const mode = String(value || "").trim().toLowerCase();
+  return CATCH_UP_MODES.includes(mode) ? mode : "once";
+}
+
+// ================= STATE =================
+function getSchedulePath(dataDir, handle) {
+  return path.resolve(dataDir, `${SCHEDULE_FILE_PREFIX}${handle}.json`);
+}
+
+function loadScheduleState(dataDir, handle) {
+  try {
+    const data = JSON.parse(fs.readFileSync(getSchedulePath(dataDir, handle), "utf8"));
+    return { handledUntil: data.handledUntil || null, runs: Array.isArray(data.runs) ? data.runs : [] };
+  } catch {
+    return { handledUntil: null, runs: [] };
+  }
+}
+
+function saveScheduleState(dataDir, handle, state) {
+  const filePath = getSchedulePath(dataDir, handle);
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ ...state, runs: state.runs.slice(-MAX_HISTORY) }, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+// ================= SCHEDULER =================
+/**
+ * Polls the schedule and calls `run` for each due occurrence, one at a time.
+ * @param {Object} options
+ * @param {string} options.dataDir - Where deletemytweets_schedule_<handle>.json lives
+ * @param {string} options.handle - Account the schedule runs for; state and history are kept per handle
+ * @param {string} options.cron - Cron expression or preset
+ * @param {string} [options.catchUp] - "once" (default) or "skip" for occurrences missed while not running
+ * @param {Function} options.run - async ({ scheduledFor, catchUp }) => ({ outcome, exitCode, removed, error })
+ * @param {Function} [options.onLog] - (type, message) => void
+ * @param {Function} [options.onStatus] - (status) => void after every state change
+ */
+function createScheduler({ dataDir, handle, cron, catchUp, run, onLog = () => {}, onStatus = () => {} }) {
+  if (!handle) throw new Error("A handle is required to schedule cleanups");
+  const schedule = parseSchedule(cron);
+  const catchUpMode = parseCatchUp(catchUp);
+  let state = loadScheduleState(dataDir, handle);
+  let timer = null;
+  let running = false;
+
+  const status = () => ({
+    handle,
+    cron: schedule.expr,
+    catchUp: catchUpMode,
+    running,
+    nextRunAt: nextRun(schedule, new Date())?.toISOString() || null,
+    lastRun: state.runs[state.runs.length - 1] || null
+  });
+
+  // Re-read before writing so a scheduler replaced mid-run does not drop the other's entries
+  function persist(entry) {
+    const onDisk = loadScheduleState(dataDir, handle);
+    const handledUntil = [onDisk.handledUntil, state.handledUntil].filter(Boolean).sort().pop() || null;
+    state = { handledUntil, runs: entry ? [...onDisk.runs, entry] : onDisk.runs };
+    try {
+      saveScheduleState(dataDir, handle, state);
+    } catch (err) {
+      onLog("warn", `Could not save schedule state: ${err.message}`);
+    }
+    onStatus(status());
+  }
+
+  async function tick() {
+    if (running) return;
+    const now = new Date();
+    const due = previousRun(schedule, now);
+    if (!due || (state.handledUntil && due <= new Date(state.handledUntil))) return;
+
+    state.handledUntil = due.toISOString();
+    persist();  // Claim the occurrence before running so a restart cannot run it twice
+    const missed = now - due > MISSED_AFTER_MS;
+    if (missed && catchUpMode === "skip") {
+      onLog("info", `Missed scheduled cleanup at ${due.toLocaleString()} - catch-up is off, waiting for the next one`);
+      persist({ scheduledFor: due.toISOString(), outcome: "missed", catchUp: false });
+      return;
+    }
+
+    running = true;
+    onStatus(status());
+    const startedAt = new Date();
+    onLog("info", missed
+      ? `Running missed cleanup scheduled for ${due.toLocaleString()}`
+      : `Running scheduled cleanup (${schedule.expr})`);
+    let result;
+    try {
+      result = await run({ scheduledFor: due, catchUp: missed });
+    } catch (err) {
+      result = { outcome: "failed", error: err?.message || String(err) };
+    }
+    running = false;
+    persist({
+      scheduledFor: due.toISOString(),
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      outcome: result?.outcome || "failed",
+      exitCode: result?.exitCode ?? null,
+      removed: result?.removed ?? null,
+      error: result?.error || null,
+      catchUp: missed
+    });
+    onLog(result?.outcome === "success" ? "success" : "warn", `Scheduled cleanup ${result?.outcome || "failed"}${result?.error ? `: ${result.error}` : ""}`);
+  }
+
+  function loop() {
+    tick()
+      .catch(err => onLog("error", `Scheduler error: ${err?.message || err}`))
+      .finally(() => { if (timer) timer = setTimeout(loop, TICK_MS); });
+  }
+
+  return {
+    start() {
+      // First start: only occurrences from now on count, nothing is "missed" yet
+      if (!state.handledUntil) {
+        state.handledUntil = new Date().toISOString();
+        persist();
+      }
+      timer = setTimeout(loop, 0);
+      onStatus(status());
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+    status
+  };
+}
+
+module.exports = {
+  SCHEDULE_FILE_PREFIX,
+  CATCH_UP_MODES,
+  RUN_TIMEOUT_MS,
+  PRESETS,
+  parseSchedule,
+  nextRun,
+  previousRun,
+  parseCatchUp,
+  getSchedulePath,
+  loadScheduleState,
+  createScheduler
+};